@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Borderwise CLI - one entry point for every data job
+ *
+ * USAGE:
+ *   node scripts/borderwise.js <command> [options]
+ *   node scripts/borderwise.js <command> --help
+ *
+ * Each command lives in scripts/commands/<command>.js and exports
+ * { description, usage?, options, run(options) }.
+ */
+
+const { CliError, UsageError, parseOptions, renderHelp } = require('./lib/cli');
+const { CsvError } = require('./lib/csv');
+const { CassetteError } = require('./lib/cassette');
+
+const COMMANDS = {
+  'refresh': './commands/refresh',
+  'rotate': './commands/rotate',
+  'pro-refresh': './commands/pro-refresh',
+  'full-load': './commands/full-load',
+  'test-load': './commands/test-load',
+  'import': './commands/import',
+  'convert': './commands/convert',
+  'init-lifecycle': './commands/init-lifecycle',
+  'validate': './commands/validate',
+  'diff': './commands/diff',
+  'stats': './commands/stats',
+  'disputes': './commands/disputes',
+  'history': './commands/history',
+  'renormalize': './commands/renormalize',
+  'classify': './commands/classify',
+};
+
+function printUsage() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length)) + 2;
+  console.log('Usage: borderwise <command> [options]');
+  console.log();
+  console.log('Commands:');
+  for (const [name, modulePath] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(width)}${require(modulePath).description}`);
+  }
+  console.log();
+  console.log('Run borderwise <command> --help for its options.');
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    printUsage();
+    return 0;
+  }
+
+  if (!COMMANDS[name]) {
+    console.error(`Unknown command "${name}"\n`);
+    printUsage();
+    return 1;
+  }
+
+  const command = require(COMMANDS[name]);
+  try {
+    const options = parseOptions(command.options, rest);
+    if (options.help) {
+      console.log(renderHelp(name, command));
+      return 0;
+    }
+    return (await command.run(options)) ?? 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`ERROR: ${error.message}\n`);
+      console.error(renderHelp(name, command));
+      return 1;
+    }
+    // Expected failures (missing key, malformed dataset, cassette mismatch) - no stack trace
+    if (error instanceof CliError || error instanceof CsvError || error instanceof CassetteError) {
+      console.error(`ERROR: ${error.message}`);
+      return 1;
+    }
+    throw error;
+  }
+}
+
+main(process.argv.slice(2))
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('Command failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,49 @@
+/**
+ * borderwise classify - Requirement Classifier
+ *
+ * Shows how requirement text is classified, or checks the classifier
+ * against the regression corpus (scripts/lib/requirement-corpus.json):
+ *
+ *   borderwise classify "Visa not required" "K-ETA"
+ *   borderwise classify --corpus     # exit 1 on any mismatch
+ */
+
+const { UsageError } = require('../lib/cli');
+const { classifyRequirement, tokenize } = require('../lib/requirements');
+const corpus = require('../lib/requirement-corpus.json');
+
+const OPTIONS = {
+  corpus: { type: 'boolean', default: false, description: 'Check every case in requirement-corpus.json' },
+};
+
+function checkCorpus() {
+  const failures = corpus.filter(({ text, expected }) => classifyRequirement(text) !== expected);
+
+  for (const { text, expected, source } of failures) {
+    console.log(`[FAIL] ${JSON.stringify(text)} (${source}): expected ${expected}, got ${classifyRequirement(text)}`);
+    console.log(`       tokens: ${tokenize(text).join(' ')}`);
+  }
+
+  console.log(`${corpus.length - failures.length}/${corpus.length} corpus cases pass`);
+  return failures.length > 0 ? 1 : 0;
+}
+
+function run(options) {
+  if (options.corpus) {
+    return checkCorpus();
+  }
+  if (options.positionals.length === 0) {
+    throw new UsageError('give requirement text to classify, or --corpus');
+  }
+
+  for (const text of options.positionals) {
+    console.log(`${JSON.stringify(text)} -> ${classifyRequirement(text)}  [${tokenize(text).join(' ')}]`);
+  }
+}
+
+module.exports = {
+  description: 'Classify requirement text, or check the classifier corpus',
+  usage: '[text...]',
+  options: OPTIONS,
+  run,
+};
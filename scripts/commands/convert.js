@@ -0,0 +1,92 @@
+/**
+ * borderwise convert - Convert Passport Index CSV to our JSON format
+ * Source: https://github.com/ilyankou/passport-index-dataset
+ * FREE DATA - No API costs!
+ *
+ * Replaces visa-rules.json entirely (use `import` to only fill gaps).
+ * Reads any dataset layout - the raw name matrix (default), the tidy
+ * English-name file or the ISO2 file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, PATHS, saveData } = require('../lib/store');
+const { CliError } = require('../lib/cli');
+const { datasetEntry, readPassportIndexCsv } = require('../lib/passport-index-csv');
+
+const OPTIONS = {
+  csv: { type: 'string', default: path.join(DATA_DIR, 'passport-index-raw.csv'), description: 'Passport Index CSV to convert' },
+  'dry-run': { type: 'boolean', default: false, description: 'Convert and report without writing' },
+};
+
+function run(options) {
+  if (!fs.existsSync(options.csv)) {
+    throw new CliError(`CSV file not found at ${options.csv}`);
+  }
+
+  // Read CSV (throws on malformed rows or unknown country names - nothing is written)
+  const { layout, rows } = readPassportIndexCsv(options.csv);
+
+  console.log(`Processing ${rows.length} visa requirement records (${layout} layout)...`);
+
+  // Build rules object
+  const rules = {};
+  let processed = 0;
+  let skipped = 0;
+  const readAt = new Date().toISOString();
+
+  for (const row of rows) {
+    const { passport, destination } = row;
+    // Classify the requirement (null for unrecognised values)
+    const entry = datasetEntry(row, readAt, { lastChecked: readAt });
+    if (!entry) {
+      skipped++;
+      continue;
+    }
+
+    // Initialize passport if needed
+    if (!rules[passport]) {
+      rules[passport] = {};
+    }
+
+    rules[passport][destination] = entry;
+    processed++;
+  }
+
+  // Count stats
+  const passportCount = Object.keys(rules).length;
+  const totalRules = Object.values(rules).reduce((sum, dests) => sum + Object.keys(dests).length, 0);
+
+  console.log(`\nProcessed ${processed} records`);
+  console.log(`Skipped (unrecognised): ${skipped}`);
+  console.log(`Passports: ${passportCount}`);
+  console.log(`Total rules: ${totalRules}`);
+
+  // Create output
+  const output = {
+    version: '3.0.0',
+    lastUpdated: new Date().toISOString(),
+    dataVersion: Date.now(),
+    source: 'Passport Index Dataset (ilyankou/passport-index-dataset)',
+    notes: 'Comprehensive data for 199 passports - FREE open source data',
+    rules: rules,
+  };
+
+  if (options.dryRun) {
+    console.log('\nDRY RUN - nothing written');
+    return;
+  }
+
+  // Validate and write JSON + version file
+  saveData(output);
+  console.log(`\nWritten to: ${PATHS.rules}`);
+  console.log(`Version file: ${PATHS.version}`);
+
+  console.log('\n=== DONE! All 199 passports loaded for FREE ===');
+}
+
+module.exports = {
+  description: 'Rebuild visa-rules.json from the Passport Index CSV',
+  options: OPTIONS,
+  run,
+};
@@ -0,0 +1,102 @@
+/**
+ * borderwise diff - Diff Two Visa Data Versions
+ *
+ * Compares two visa-rules.json snapshots and prints a changelog grouped by
+ * passport (requirement, duration and source changes, added/removed pairs).
+ *
+ * USAGE:
+ *   borderwise diff <old.json> [new.json]     # files (new defaults to data/)
+ *   borderwise diff --git <rev> [rev2]        # git revisions (rev2 defaults to working tree)
+ *
+ * OPTIONS:
+ *   --json    print JSON instead of Markdown
+ *   --write   also write data/changelog.md and data/changelog.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { diffRules, hasChanges, renderMarkdown } = require('../lib/diff');
+const { PATHS, migrateData } = require('../lib/store');
+const { writeFileAtomic } = require('../lib/atomic-write');
+const { UsageError } = require('../lib/cli');
+
+const OPTIONS = {
+  git: { type: 'boolean', default: false, description: 'Arguments are git revisions (rev2 defaults to the working tree)' },
+  json: { type: 'boolean', default: false, description: 'Print JSON instead of Markdown' },
+  write: { type: 'boolean', default: false, description: 'Also write data/changelog.md and data/changelog.json' },
+};
+
+/**
+ * Read visa-rules.json as of a git revision (null if it did not exist there)
+ */
+function loadFromGit(rev) {
+  const relative = './' + path.relative(process.cwd(), PATHS.rules).split(path.sep).join('/');
+  try {
+    const content = execFileSync('git', ['show', `${rev}:${relative}`], {
+      encoding: 'utf8',
+      maxBuffer: 512 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    return migrateData(JSON.parse(content));
+  } catch (error) {
+    const stderr = error.stderr?.toString() || '';
+    if (stderr.includes('does not exist') || stderr.includes('exists on disk, but not in')) {
+      return null;
+    }
+    throw new Error(`Could not read ${relative} at ${rev}: ${stderr.trim() || error.message}`);
+  }
+}
+
+function loadFromFile(filePath) {
+  return migrateData(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * Write the changelog next to version.json
+ */
+function writeChangelog(diff) {
+  writeFileAtomic(PATHS.changelogMarkdown, renderMarkdown(diff));
+  writeFileAtomic(PATHS.changelogJson, JSON.stringify(diff, null, 2));
+}
+
+function run(options) {
+  if (options.positionals.length === 0 || options.positionals.length > 2) {
+    throw new UsageError('Expected one or two files (or revisions with --git)');
+  }
+
+  const [first, second] = options.positionals;
+  let before;
+  let after;
+
+  if (options.git) {
+    before = loadFromGit(first);
+    after = second ? loadFromGit(second) : loadFromFile(PATHS.rules);
+  } else {
+    before = loadFromFile(first);
+    after = loadFromFile(second || PATHS.rules);
+  }
+
+  const diff = diffRules(before, after);
+
+  if (options.write) {
+    writeChangelog(diff);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(diff, null, 2));
+  } else {
+    process.stdout.write(renderMarkdown(diff));
+  }
+
+  if (options.write) {
+    console.error(`\nChangelog written to ${PATHS.changelogMarkdown} (${hasChanges(diff) ? 'changes found' : 'no changes'})`);
+  }
+}
+
+module.exports = {
+  description: 'Changelog between two visa-rules.json versions (files or git revisions)',
+  usage: '(<old.json> [new.json] | --git <rev> [rev2])',
+  options: OPTIONS,
+  run,
+};
@@ -0,0 +1,67 @@
+/**
+ * borderwise disputes - Cross-Source Disagreement Report
+ *
+ * Lists every pair where visa-rules.json (API answers) and the
+ * passport-index dataset disagree on requirement or duration, ranked by
+ * passport priority (see lib/disputes.js). Read-only.
+ *
+ *   borderwise disputes                     # top 50, as text
+ *   borderwise disputes --passports GB,US --limit 0
+ *   borderwise disputes --json
+ *
+ * `refresh --disputes-first` and `pro-refresh --disputes-first` spend their
+ * budget on these pairs before anything else.
+ */
+
+const fs = require('fs');
+const { PATHS, loadData } = require('../lib/store');
+const { CliError } = require('../lib/cli');
+const { KINDS, findDisputesInFile } = require('../lib/disputes');
+
+const OPTIONS = {
+  csv: { type: 'string', default: PATHS.passportIndex, description: 'Passport Index CSV to compare with (any layout)' },
+  passports: { type: 'list', default: null, description: 'Only these passports, e.g. GB,US' },
+  limit: { type: 'number', default: 50, description: 'Pairs to list (0 for all)' },
+  json: { type: 'boolean', default: false, description: 'Print every dispute as JSON' },
+};
+
+function formatSide({ requirement, days }) {
+  return days === null ? requirement : `${requirement} (${days} days)`;
+}
+
+function run(options) {
+  if (!fs.existsSync(options.csv)) {
+    throw new CliError(`CSV file not found at ${options.csv}`);
+  }
+
+  const data = loadData({ rules: {} });
+  const disputes = findDisputesInFile(data, options.csv, { passports: options.passports });
+
+  if (options.json) {
+    console.log(JSON.stringify(disputes, null, 2));
+    return;
+  }
+
+  console.log('='.repeat(60));
+  console.log('DISPUTED PAIRS (visa-rules.json vs passport-index)');
+  console.log('='.repeat(60));
+  for (const kind of KINDS) {
+    console.log(`${kind.padEnd(12)} ${disputes.filter(d => d.kind === kind).length}`);
+  }
+  console.log(`${'total'.padEnd(12)} ${disputes.length}`);
+  console.log();
+
+  const shown = options.limit > 0 ? disputes.slice(0, options.limit) : disputes;
+  for (const d of shown) {
+    console.log(`${d.passport}->${d.destination}  ${d.kind.padEnd(11)}  ${d.source}: ${formatSide(d.rules)}  |  dataset: ${formatSide(d.dataset)}`);
+  }
+  if (shown.length < disputes.length) {
+    console.log(`... and ${disputes.length - shown.length} more (--limit 0 for all)`);
+  }
+}
+
+module.exports = {
+  description: 'Pairs where visa-rules.json and the passport-index dataset disagree',
+  options: OPTIONS,
+  run,
+};
@@ -0,0 +1,289 @@
+/**
+ * borderwise full-load - Full Database Load, Ultra Tier ($14.99/month)
+ *
+ * STRATEGY:
+ * - 30,000 requests/month available
+ * - 10 requests/second rate limit
+ * - 199 passports × 199 destinations = 39,601 total pairs
+ * - Will complete in ~2 runs (or one month if running continuously)
+ *
+ * Features:
+ * - Progress tracking for resumable runs
+ * - Up to 10 pairs in flight, with requests held to 9/sec by the scheduler's
+ *   token bucket (lib/scheduler.js) - 28,000 requests in under an hour
+ * - Exponential backoff on errors; a 429 pauses every request in flight
+ * - Saves progress every 100 requests; every result is journaled as it
+ *   arrives, so a killed run resumes without re-fetching
+ * - Results go through the merge policy (lib/merge.js); rejected ones keep
+ *   the existing entry and are listed in data/merge-log.jsonl
+ * - Commits and pushes data/ every 500 requests (--commit-interval 0 to
+ *   disable for local runs)
+ */
+
+const { execSync } = require('child_process');
+const { DATA_DIR, PATHS, getReplayedPairs, loadData, loadJson, markPublished, recordResult, saveData, saveJson } = require('../lib/store');
+const { API_OPTIONS, createApiClient, filterPairs, printDryRun, resolveBudget } = require('../lib/cli');
+const { COUNTRY_CODES, PRIORITY_PASSPORTS } = require('../lib/countries');
+const { isSettled } = require('../lib/requirements');
+
+const OPTIONS = {
+  budget: { type: 'number', default: 28000, description: 'Max API requests this run (leaves a buffer under 30k)' },
+  'save-interval': { type: 'number', default: 100, min: 1, description: 'Save data and progress every N requests' },
+  'commit-interval': { type: 'number', default: 500, description: 'Commit and push data/ every N requests (0 = never)' },
+  ...API_OPTIONS,
+};
+
+const MAX_RETRIES = 3;
+const BACKOFF_MULTIPLIER = 2;
+
+/**
+ * Commit progress to git - called from within the script
+ * This ensures data is pushed even if the job is killed
+ */
+function gitCommitProgress(requestCount) {
+  const git = { cwd: DATA_DIR, stdio: 'pipe' };
+  try {
+    console.log(`\n  [GIT] Committing ${requestCount} requests to repository...`);
+    execSync('git add .', git);
+
+    // Check if there are changes to commit
+    try {
+      execSync('git diff --staged --quiet', git);
+      console.log('  [GIT] No changes to commit');
+      return;
+    } catch {
+      // There are changes (diff returns non-zero when there are diffs)
+    }
+
+    const commitMsg = `Progress: ${requestCount} requests - ${new Date().toISOString()}`;
+    execSync(`git commit -m "${commitMsg}"`, git);
+    // Clients may sync to this version - its delta must stay in the chain
+    markPublished();
+    execSync('git push', git);
+    console.log('  [GIT] Committed and pushed successfully!\n');
+  } catch (error) {
+    console.error('  [GIT] Failed to commit:', error.message);
+  }
+}
+
+// Starting point when there is no visa-rules.json yet
+const EMPTY_DATA = {
+  version: '3.0.0',
+  lastUpdated: null,
+  dataVersion: 0,
+  source: 'Travel Buddy API',
+  rules: {},
+};
+
+function loadProgress() {
+  return loadJson(PATHS.fullLoadProgress, {
+    completedPairs: [],
+    lastPassport: null,
+    lastDestination: null,
+    totalRequests: 0,
+    startedAt: new Date().toISOString(),
+  });
+}
+
+function saveProgress(progress) {
+  saveJson(PATHS.fullLoadProgress, progress, 'full-load-progress');
+}
+
+function generateAllPairs() {
+  const pairs = [];
+
+  // Priority passports first (in order)
+  for (const passport of PRIORITY_PASSPORTS) {
+    for (const destination of COUNTRY_CODES) {
+      if (passport !== destination) {
+        pairs.push([passport, destination]);
+      }
+    }
+  }
+
+  // Then remaining passports
+  const remainingPassports = COUNTRY_CODES.filter(c => !PRIORITY_PASSPORTS.includes(c));
+  for (const passport of remainingPassports) {
+    for (const destination of COUNTRY_CODES) {
+      if (passport !== destination) {
+        pairs.push([passport, destination]);
+      }
+    }
+  }
+
+  return pairs;
+}
+
+async function run(options) {
+  const { client, ledger, scheduler } = createApiClient(options, {
+    script: 'full-load',
+    tier: 'ultra',
+    source: 'rapidapi',
+    baseDelayMs: 1000,
+    maxRetries: MAX_RETRIES,
+    backoffMultiplier: BACKOFF_MULTIPLIER,
+  });
+  const { saveInterval, commitInterval } = options;
+
+  console.log('=== Full Database Load (Ultra Tier) ===');
+  console.log(`Date: ${new Date().toISOString()}`);
+  console.log(`Total countries: ${COUNTRY_CODES.length}`);
+  console.log(`Priority passports: ${PRIORITY_PASSPORTS.length}`);
+  const budget = resolveBudget(ledger, options.budget);
+  console.log(`Max requests this run: ${budget}`);
+  console.log(`Rate: ${scheduler.describe()}`);
+  console.log();
+
+  if (budget === 0) {
+    console.log('No request budget this run (see Quota above) - nothing to do.');
+    return;
+  }
+
+  const data = loadData(EMPTY_DATA);
+  const progress = loadProgress();
+  const allPairs = filterPairs(generateAllPairs(), options);
+  if (allPairs.length === 0) {
+    console.log('No pairs match the --passports/--destinations filter.');
+    return;
+  }
+
+  const totalPairs = allPairs.length;
+  console.log(`Total pairs to check: ${totalPairs}`);
+
+  // Create a Set of completed pairs for fast lookup
+  const completedSet = new Set(progress.completedPairs);
+
+  // Results journaled by an interrupted run are already in data - don't re-fetch them
+  for (const pair of getReplayedPairs()) {
+    completedSet.add(pair);
+  }
+  // Settled statuses (no admission, free movement) are answers already
+  let settled = 0;
+  for (const [passport, destination] of allPairs) {
+    if (isSettled(data.rules[passport]?.[destination]) && !completedSet.has(`${passport}->${destination}`)) {
+      completedSet.add(`${passport}->${destination}`);
+      settled++;
+    }
+  }
+  console.log(`Already completed: ${completedSet.size} (${settled} settled in the data)`);
+
+  // Filter to only unchecked pairs
+  const pendingPairs = allPairs.filter(([p, d]) => !completedSet.has(`${p}->${d}`));
+  console.log(`Pending pairs: ${pendingPairs.length}`);
+  console.log();
+
+  if (pendingPairs.length === 0) {
+    if (getReplayedPairs().length > 0 && !options.dryRun) {
+      progress.completedPairs = Array.from(completedSet);
+      saveProgress(progress);
+      saveData(data);
+    }
+    console.log('All pairs already checked! Database is complete.');
+    return;
+  }
+
+  let requestsThisRun = 0;
+  let updated = 0;
+  let rejected = 0;
+  let errors = 0;
+  let rateLimited = false;
+
+  const pairsToProcess = pendingPairs.slice(0, budget);
+
+  if (options.dryRun) {
+    printDryRun(pairsToProcess);
+    return;
+  }
+  const minutes = scheduler.estimateMinutes(pairsToProcess.length);
+  console.log(`Processing ${pairsToProcess.length} pairs this run${minutes > 0 ? ` (~${minutes} minutes at the rate limit)` : ''}...`);
+  console.log();
+
+  await scheduler.forEach(pairsToProcess, async ([passport, destination], i) => {
+    // Progress indicator every 50 requests
+    if (i > 0 && i % 50 === 0) {
+      const percent = ((totalPairs - pendingPairs.length + i) / totalPairs * 100).toFixed(1);
+      console.log(`[${percent}%] Processing ${passport}... (${i}/${pairsToProcess.length} this run)`);
+    }
+
+    const result = await client.checkVisaRequirement(passport, destination);
+    requestsThisRun++;
+
+    if (result?.rateLimited || result?.quotaExceeded) {
+      console.log(`\n!! ${result.quotaExceeded ? 'Quota exceeded' : 'Rate limit hit'} - stopping`);
+      rateLimited = true;
+      scheduler.stop();
+      return;
+    }
+
+    if (result) {
+      // Merged and journaled immediately, written to visa-rules.json on the next save
+      if (recordResult(data, passport, destination, result).accepted) {
+        updated++;
+      } else {
+        rejected++;
+      }
+    } else {
+      errors++;
+    }
+
+    // Mark as completed
+    completedSet.add(`${passport}->${destination}`);
+
+    // Save progress periodically
+    if (requestsThisRun % saveInterval === 0) {
+      progress.completedPairs = Array.from(completedSet);
+      progress.totalRequests += saveInterval;
+      progress.lastPassport = passport;
+      progress.lastDestination = destination;
+      saveProgress(progress);
+      saveData(data);
+      console.log(`  [Saved] ${requestsThisRun} requests, ${updated} updated`);
+    }
+
+    // GIT COMMIT every 500 requests - CRITICAL: prevents data loss
+    if (commitInterval > 0 && requestsThisRun % commitInterval === 0) {
+      gitCommitProgress(requestsThisRun);
+    }
+  });
+
+  // Final save
+  progress.completedPairs = Array.from(completedSet);
+  progress.totalRequests += requestsThisRun % saveInterval;
+  saveProgress(progress);
+  saveData(data);
+
+  // Final git commit
+  if (commitInterval > 0) {
+    gitCommitProgress(requestsThisRun);
+  }
+
+  // Calculate stats
+  const passportsCovered = new Set(Object.keys(data.rules)).size;
+  const totalRules = Object.values(data.rules).reduce((sum, dests) => sum + Object.keys(dests).length, 0);
+
+  console.log();
+  console.log('=== Summary ===');
+  console.log(`Requests this run: ${requestsThisRun}`);
+  console.log(`Updated: ${updated}`);
+  console.log(`Rejected by merge policy: ${rejected} (reasons in ${PATHS.mergeLog})`);
+  console.log(`Errors: ${errors}`);
+  console.log(`Rate limited: ${rateLimited ? 'YES' : 'No'}`);
+  console.log();
+  console.log('=== Database Status ===');
+  console.log(`Passports covered: ${passportsCovered}`);
+  console.log(`Total rules in DB: ${totalRules}`);
+  const completed = allPairs.filter(([p, d]) => completedSet.has(`${p}->${d}`)).length;
+  console.log(`Completion: ${(completed / totalPairs * 100).toFixed(1)}%`);
+  console.log(`Remaining pairs: ${totalPairs - completed}`);
+
+  if (completed >= totalPairs) {
+    console.log();
+    console.log('DATABASE COMPLETE! All passport/destination pairs have been checked.');
+  }
+}
+
+module.exports = {
+  description: 'Ultra tier full load - every passport/destination pair, resumable',
+  options: OPTIONS,
+  run,
+};
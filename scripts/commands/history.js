@@ -0,0 +1,92 @@
+/**
+ * borderwise history - Pair Change History
+ *
+ * Shows how a pair's rules changed over time, from data/history/ (see
+ * lib/history.js):
+ *
+ *   borderwise history GB TH        # GB->TH timeline, oldest first
+ *   borderwise history 'GB->TH' --json
+ *   borderwise history GB           # latest changes for every GB pair
+ */
+
+const { DATA_DIR, loadData } = require('../lib/store');
+const { UsageError } = require('../lib/cli');
+const { readHistory, timeline } = require('../lib/history');
+const { formatStay } = require('../lib/durations');
+
+const OPTIONS = {
+  limit: { type: 'number', default: 50, description: 'Passport-wide changes to list, newest first (0 for all)' },
+  json: { type: 'boolean', default: false, description: 'Print the records as JSON' },
+};
+
+const CODE = /^[A-Z]{2}$/;
+
+function parsePair(positionals) {
+  const [passport, destination] = positionals.length === 1
+    ? positionals[0].toUpperCase().split(/->|-|\//)
+    : positionals.map(code => code.toUpperCase());
+  if (!CODE.test(passport || '') || (destination !== undefined && !CODE.test(destination)) || positionals.length > 2) {
+    throw new UsageError('give a passport and optional destination, e.g. "GB TH" or "GB->TH"');
+  }
+  return { passport, destination };
+}
+
+function formatValue(value) {
+  if (!value) return '-';
+  const stay = formatStay(value.stay);
+  return `${value.requirement}${stay ? ` (${stay})` : ''} [${value.source}]`;
+}
+
+function formatRecord(record) {
+  return `${record.at.slice(0, 10)}  ${record.change.padEnd(11)}  ${formatValue(record.from)} -> ${formatValue(record.to)}`;
+}
+
+function run(options) {
+  const { passport, destination } = parsePair(options.positionals);
+  const records = readHistory(DATA_DIR, passport);
+
+  if (destination) {
+    const pairRecords = timeline(records, destination);
+    if (options.json) {
+      console.log(JSON.stringify(pairRecords, null, 2));
+      return;
+    }
+    const current = loadData({ rules: {} }).rules[passport]?.[destination];
+    console.log(`${passport}->${destination} over time`);
+    console.log('='.repeat(60));
+    pairRecords.forEach(record => console.log(formatRecord(record)));
+    if (pairRecords.length === 0) {
+      console.log('No recorded changes');
+    }
+    console.log();
+    console.log(`Now: ${formatValue(current)}, last checked ${current?.lastChecked?.slice(0, 10) ?? 'never'}`);
+    // A new source with the same answer is not a rule change
+    const ruleChanges = pairRecords.filter(record => record.change !== 'source');
+    if (ruleChanges.length > 0) {
+      console.log(`Rules last changed on ${ruleChanges[ruleChanges.length - 1].at.slice(0, 10)}`);
+    }
+    return;
+  }
+
+  const newest = [...records].reverse();
+  const shown = options.limit > 0 ? newest.slice(0, options.limit) : newest;
+  if (options.json) {
+    console.log(JSON.stringify(shown, null, 2));
+    return;
+  }
+  console.log(`${passport} changes, newest first (${records.length} recorded)`);
+  console.log('='.repeat(60));
+  for (const record of shown) {
+    console.log(`${passport}->${record.destination}  ${formatRecord(record)}`);
+  }
+  if (shown.length < newest.length) {
+    console.log(`... and ${newest.length - shown.length} more (--limit 0 for all)`);
+  }
+}
+
+module.exports = {
+  description: 'How a pair\'s rules changed over time',
+  usage: '<passport> [destination]',
+  options: OPTIONS,
+  run,
+};
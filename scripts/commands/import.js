@@ -0,0 +1,125 @@
+/**
+ * borderwise import - Import Free Passport Index Dataset
+ * Source: https://github.com/ilyankou/passport-index-dataset
+ *
+ * This command imports the FREE visa requirements data to fill gaps.
+ * The merge policy (lib/merge.js) treats the dataset as fill-only: it updates
+ * entries that are missing or "unknown" - never overwrites good data - except
+ * that home-country and free movement pairs (which follow from the country
+ * registry) replace a plain visa-free answer. Every decision is written to
+ * data/merge-log.jsonl.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { DATA_DIR, PATHS, appendMergeLog, loadData, saveData } = require('../lib/store');
+const { CliError } = require('../lib/cli');
+const { datasetEntry, readPassportIndexCsv } = require('../lib/passport-index-csv');
+const { auditRecord, mergeEntry } = require('../lib/merge');
+
+const OPTIONS = {
+  csv: { type: 'string', default: path.join(DATA_DIR, 'passport-index-iso2.csv'), description: 'Passport Index CSV (iso2, tidy or raw matrix layout)' },
+  passports: { type: 'list', default: null, description: 'Only import these passports, e.g. GB,US' },
+  'dry-run': { type: 'boolean', default: false, description: 'Report what would be imported without writing' },
+};
+
+/**
+ * Main import function
+ */
+function run(options) {
+  console.log('='.repeat(60));
+  console.log('IMPORTING FREE PASSPORT INDEX DATASET');
+  console.log('='.repeat(60));
+  console.log();
+
+  // Check if CSV exists
+  if (!fs.existsSync(options.csv)) {
+    throw new CliError([
+      `CSV file not found at ${options.csv}`,
+      'Please download it first:',
+      'curl -L -o data/passport-index-iso2.csv "https://raw.githubusercontent.com/ilyankou/passport-index-dataset/master/passport-index-tidy-iso2.csv"',
+    ].join('\n'));
+  }
+
+  // Load existing data
+  const data = loadData();
+
+  // Read CSV (throws on malformed rows or unknown country names - nothing is imported)
+  const { layout, rows } = readPassportIndexCsv(options.csv);
+
+  console.log(`CSV records: ${rows.length} (${layout} layout)`);
+  console.log();
+
+  let imported = 0;
+  let skipped = 0;
+  let preserved = 0;
+  let settled = 0;
+  const readAt = new Date().toISOString();
+  const mergeLog = [];
+
+  for (const row of rows) {
+    const { passport, destination } = row;
+    if (options.passports && !options.passports.includes(passport)) continue;
+
+    // Classify the requirement (null for unrecognised values)
+    const entry = datasetEntry(row, readAt);
+    if (!entry) {
+      skipped++;
+      continue;
+    }
+
+    // Initialize passport if needed
+    if (!data.rules[passport]) {
+      data.rules[passport] = {};
+    }
+
+    // Check existing data
+    const existing = data.rules[passport][destination];
+
+    const decision = mergeEntry(existing, entry);
+    mergeLog.push(auditRecord(passport, destination, existing, entry, decision));
+
+    if (!decision.accepted) {
+      // Preserve existing good data
+      preserved++;
+      continue;
+    }
+    data.rules[passport][destination] = decision.entry;
+    if (decision.reason === 'registry-status') {
+      settled++;
+    } else {
+      imported++;
+    }
+  }
+
+  console.log('='.repeat(60));
+  console.log('IMPORT COMPLETE');
+  console.log('='.repeat(60));
+  console.log(`Imported (new/fixed): ${imported}`);
+  console.log(`Settled (home country / free movement): ${settled}`);
+  console.log(`Preserved (existing good data): ${preserved}`);
+  console.log(`Skipped (invalid): ${skipped}`);
+  console.log();
+
+  if (options.dryRun) {
+    console.log('DRY RUN - nothing written');
+    return;
+  }
+  // Nothing accepted - leave dataVersion alone so clients have nothing to sync
+  if (imported + settled === 0) {
+    console.log('No changes - nothing written');
+    return;
+  }
+
+  // Validate and save
+  appendMergeLog(mergeLog);
+  saveData(data);
+  console.log(`Data saved to: ${PATHS.rules}`);
+}
+
+module.exports = {
+  description: 'Fill missing/unknown entries from the free Passport Index dataset',
+  options: OPTIONS,
+  run,
+};
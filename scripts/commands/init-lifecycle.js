@@ -0,0 +1,63 @@
+/**
+ * borderwise init-lifecycle - Initialize lifecycle tracking file
+ * Marks existing good data as "already updated" so the refresh command
+ * prioritizes filling in unknown/missing data first.
+ */
+
+const { PATHS, loadData, saveJson } = require('../lib/store');
+
+const OPTIONS = {
+  'dry-run': { type: 'boolean', default: false, description: 'Report counts without writing lifecycle.json' },
+};
+
+function run(options) {
+  const data = loadData();
+
+  const lifecycle = {
+    lastUpdates: {},
+    stats: {
+      createdAt: new Date().toISOString(),
+      description: 'Tracks when each passport/destination pair was last updated'
+    }
+  };
+
+  // Initialize with current good data (mark as already updated)
+  const now = new Date().toISOString();
+  let goodCount = 0;
+  let unknownCount = 0;
+
+  for (const [passport, destinations] of Object.entries(data.rules || {})) {
+    lifecycle.lastUpdates[passport] = {};
+    for (const [dest, rule] of Object.entries(destinations)) {
+      if (rule.requirement && rule.requirement !== 'unknown') {
+        // Mark good data as updated (so it won't be prioritized immediately)
+        lifecycle.lastUpdates[passport][dest] = now;
+        goodCount++;
+      } else {
+        unknownCount++;
+      }
+    }
+  }
+
+  if (options.dryRun) {
+    console.log('DRY RUN - lifecycle.json not written');
+  } else {
+    saveJson(PATHS.lifecycle, lifecycle, 'lifecycle');
+    console.log('Lifecycle tracking file created!');
+  }
+  console.log('');
+  console.log('Statistics:');
+  console.log(`  Good entries (marked as updated): ${goodCount}`);
+  console.log(`  Unknown entries (will be prioritized): ${unknownCount}`);
+  console.log('');
+  console.log('The refresh command will now:');
+  console.log('  1. Fill in all unknown/missing entries first');
+  console.log('  2. Then refresh data older than 30 days');
+  console.log('  3. Never overwrite good data with errors');
+}
+
+module.exports = {
+  description: 'Create lifecycle.json, marking existing good entries as up to date',
+  options: OPTIONS,
+  run,
+};
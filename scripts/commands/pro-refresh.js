@@ -0,0 +1,319 @@
+/**
+ * borderwise pro-refresh - Pro Tier Smart Refresh ($4.99/month)
+ *
+ * SMART REFRESH STRATEGY:
+ * ========================
+ * Problem: 39,402 pairs to keep fresh with only 3,000 requests/month
+ * Solution: refresh the pairs we trust least, skipping recent ones
+ *
+ * HOW IT WORKS:
+ * 1. Scans every passport/destination pair
+ * 2. SKIPS settled pairs (no admission, home country, free movement) and
+ *    entries checked within the last 30 days (fresh enough)
+ * 3. Queues the rest in PRIORITY ORDER:
+ *    - Priority passports (lib/countries.js) before the rest
+ *    - Then lowest confidence first (see lib/confidence.js: source, age,
+ *      assumed durations and disagreement with passport-index all lower it;
+ *      missing entries score 0)
+ *    - Oldest first on ties
+ * 4. --disputes-first moves pairs passport-index disagrees with to the front
+ * 5. Requests from the top of the queue until the budget is spent
+ *
+ * Age only decides what is skipped; within the queue it breaks ties. The
+ * missing / critical (60+ days) / stale (30-60 days) categories are for
+ * the report.
+ *
+ * MATH:
+ * - 39,402 total pairs
+ * - 3,000 requests/month
+ * - Full cycle = ~13 months
+ * - Each entry refreshed roughly every 13 months
+ * - Nothing should go more than ~14 months without refresh
+ *
+ * The 30/60 day thresholds are the --fresh-days/--stale-days defaults.
+ *
+ * Runs monthly from .github/workflows/pro-tier-refresh.yml.
+ */
+
+const { PATHS, loadData, recordResult, saveData } = require('../lib/store');
+const { API_OPTIONS, createApiClient, printDryRun, resolveBudget } = require('../lib/cli');
+const { COUNTRY_CODES, PRIORITY_PASSPORTS } = require('../lib/countries');
+const { isSettled } = require('../lib/requirements');
+const { scoreEntry } = require('../lib/confidence');
+const { disputesFirst, findDisputesInFile } = require('../lib/disputes');
+
+// Configuration for Pro tier (rate limit: TIERS.pro in lib/quota-ledger.js)
+const OPTIONS = {
+  budget: { type: 'number', default: 2800, description: 'Max API requests this run (leaves a buffer under 3,000)' },
+  'save-interval': { type: 'number', default: 50, min: 1, description: 'Save data every N requests' },
+  'fresh-days': { type: 'number', default: 30, description: 'Skip entries checked within this many days' },
+  'stale-days': { type: 'number', default: 60, description: 'Entries older than this are reported as critical' },
+  'disputes-first': { type: 'boolean', default: false, description: 'Refresh pairs the passport-index dataset disagrees with first (see disputes)' },
+  ...API_OPTIONS,
+};
+
+const MAX_RETRIES = 3;
+const BACKOFF_MULTIPLIER = 2;
+
+function getDaysSinceUpdate(lastChecked) {
+  if (!lastChecked) return Infinity; // Never checked = infinitely old
+  const lastDate = new Date(lastChecked);
+  const now = new Date();
+  const diffMs = now - lastDate;
+  return Math.floor(diffMs / (1000 * 60 * 60 * 24));
+}
+
+// Starting point when there is no visa-rules.json yet
+const EMPTY_DATA = {
+  version: '3.0.0',
+  lastUpdated: null,
+  dataVersion: 0,
+  source: 'Mixed sources',
+  rules: {},
+};
+
+/**
+ * Analyze database and generate prioritized refresh queue
+ */
+function generateRefreshQueue(data, { passports, destinations, freshDays, staleDays }) {
+  const queue = [];
+  const stats = {
+    total: 0,
+    fresh: 0,      // <30 days - SKIP
+    stale: 0,      // 30-60 days
+    critical: 0,   // 60+ days
+    missing: 0,    // No data
+    settled: 0,    // No admission / free movement - known, SKIP
+  };
+
+  const now = new Date();
+
+  // Check all possible passport-destination pairs
+  for (const passport of passports) {
+    for (const destination of destinations) {
+      if (passport === destination) continue;
+      stats.total++;
+
+      const entry = data.rules[passport]?.[destination];
+      if (isSettled(entry)) {
+        stats.settled++;
+        continue;
+      }
+      const lastChecked = entry?.lastChecked;
+      const daysSince = getDaysSinceUpdate(lastChecked);
+
+      // Categorize and potentially add to queue
+      let category;
+      if (!lastChecked) {
+        // Missing - needs data
+        stats.missing++;
+        category = 'missing';
+      } else if (daysSince >= staleDays) {
+        // Critical - 60+ days old
+        stats.critical++;
+        category = 'critical';
+      } else if (daysSince >= freshDays) {
+        // Stale - 30-60 days old
+        stats.stale++;
+        category = 'stale';
+      } else {
+        // Fresh - skip
+        stats.fresh++;
+        continue;
+      }
+
+      queue.push({
+        passport,
+        destination,
+        daysSince,
+        priority: PRIORITY_PASSPORTS.includes(passport) ? 1 : 2,
+        // Scored on save; entries not saved since scoring existed get one here
+        confidence: entry ? entry.confidence ?? scoreEntry(passport, destination, entry) : 0,
+        category,
+      });
+    }
+  }
+
+  // Sort queue: priority passports first, then least confident, then oldest
+  queue.sort((a, b) => {
+    if (a.priority !== b.priority) return a.priority - b.priority;
+    if (a.confidence !== b.confidence) return a.confidence - b.confidence;
+    return b.daysSince - a.daysSince; // Older first
+  });
+
+  return { queue, stats };
+}
+
+async function run(options) {
+  const { client, ledger, scheduler } = createApiClient(options, {
+    script: 'pro-refresh',
+    tier: 'pro',
+    source: 'rapidapi-pro',
+    baseDelayMs: 2000,
+    maxRetries: MAX_RETRIES,
+    backoffMultiplier: BACKOFF_MULTIPLIER,
+  });
+  const { freshDays, staleDays } = options;
+
+  console.log('==============================================');
+  console.log('  Pro Tier SMART Refresh ($4.99/month)');
+  console.log('==============================================');
+  console.log(`Date: ${new Date().toISOString()}`);
+  console.log(`Rate: ${scheduler.describe()}`);
+  const budget = resolveBudget(ledger, options.budget);
+  console.log(`Max requests this run: ${budget}`);
+  console.log();
+
+  if (budget === 0) {
+    console.log('No request budget this run (see Quota above) - nothing to do.');
+    return;
+  }
+
+  const data = loadData(EMPTY_DATA);
+
+  // Analyze database and generate refresh queue
+  console.log('Analyzing database for stale entries...');
+  const { queue: dueQueue, stats } = generateRefreshQueue(data, {
+    passports: options.passports || COUNTRY_CODES,
+    destinations: options.destinations || COUNTRY_CODES,
+    freshDays,
+    staleDays,
+  });
+
+  let queue = dueQueue;
+  if (options.disputesFirst) {
+    const disputes = findDisputesInFile(data, PATHS.passportIndex, { passports: options.passports });
+    queue = disputesFirst(queue, disputes);
+    console.log(`Disputed by passport-index: ${disputes.length} pairs (due ones go first)`);
+  }
+
+  console.log();
+  console.log('=== Database Age Analysis ===');
+  console.log(`Total pairs: ${stats.total.toLocaleString()}`);
+  console.log(`Fresh (<${freshDays} days): ${stats.fresh.toLocaleString()} - SKIPPING`);
+  console.log(`Stale (${freshDays}-${staleDays} days): ${stats.stale.toLocaleString()}`);
+  console.log(`Critical (${staleDays}+ days): ${stats.critical.toLocaleString()}`);
+  console.log(`Missing (no data): ${stats.missing.toLocaleString()}`);
+  console.log(`Settled (no admission / free movement): ${stats.settled.toLocaleString()} - SKIPPING`);
+  console.log();
+  console.log(`Entries needing refresh: ${queue.length.toLocaleString()}`);
+  console.log(`Will process: ${Math.min(queue.length, budget).toLocaleString()} this run`);
+  console.log();
+
+  if (queue.length === 0) {
+    console.log('All entries are fresh! Nothing to refresh.');
+    return;
+  }
+
+  // Process the queue
+  let requestsThisRun = 0;
+  let updated = 0;
+  let rejected = 0;
+  let errors = 0;
+  let rateLimited = false;
+
+  const categoriesToProcess = { missing: 0, critical: 0, stale: 0 };
+  const pairsToProcess = queue.slice(0, budget);
+
+  if (options.dryRun) {
+    printDryRun(pairsToProcess, p => `${p.passport}->${p.destination} (${p.category}, confidence ${p.confidence})`);
+    return;
+  }
+
+  console.log('Starting refresh...');
+  console.log();
+  const startedAt = Date.now();
+
+  await scheduler.forEach(pairsToProcess, async ({ passport, destination, category }, i) => {
+    // Progress indicator
+    if (i > 0 && i % 100 === 0) {
+      const percent = (i / pairsToProcess.length * 100).toFixed(1);
+      console.log(`[${percent}%] Processed ${i}/${pairsToProcess.length} (${updated} updated, ${errors} errors)`);
+    }
+
+    const result = await client.checkVisaRequirement(passport, destination);
+    requestsThisRun++;
+
+    if (result?.rateLimited || result?.quotaExceeded) {
+      console.log(`\n!! ${result.quotaExceeded ? 'Quota exceeded' : 'Rate limit hit'} - stopping`);
+      rateLimited = true;
+      scheduler.stop();
+      return;
+    }
+
+    if (result) {
+      // Merged and journaled immediately, written to visa-rules.json on the next save
+      if (recordResult(data, passport, destination, result).accepted) {
+        updated++;
+        categoriesToProcess[category]++;
+        process.stdout.write('.');
+      } else {
+        rejected++;
+        process.stdout.write('-');
+      }
+    } else {
+      errors++;
+      process.stdout.write('x');
+    }
+
+    // Save periodically
+    if (requestsThisRun % options.saveInterval === 0) {
+      saveData(data);
+      console.log(`\n  [Saved] ${requestsThisRun} requests, ${updated} updated`);
+    }
+  });
+
+  // Final save
+  saveData(data);
+
+  // Calculate final stats
+  const passportsCovered = Object.keys(data.rules).length;
+  const totalRules = Object.values(data.rules).reduce((sum, dests) => sum + Object.keys(dests).length, 0);
+
+  console.log();
+  console.log();
+  console.log('==============================================');
+  console.log('  REFRESH COMPLETE');
+  console.log('==============================================');
+  console.log();
+  console.log('=== This Run ===');
+  console.log(`Requests made: ${requestsThisRun}`);
+  console.log(`Entries updated: ${updated}`);
+  console.log(`Rejected by merge policy: ${rejected} (reasons in ${PATHS.mergeLog})`);
+  console.log(`Errors: ${errors}`);
+  console.log(`Rate limited: ${rateLimited ? 'YES' : 'No'}`);
+  console.log();
+  console.log('=== Categories Refreshed ===');
+  console.log(`Missing (filled gaps): ${categoriesToProcess.missing}`);
+  console.log(`Critical (${staleDays}+ days): ${categoriesToProcess.critical}`);
+  console.log(`Stale (${freshDays}-${staleDays} days): ${categoriesToProcess.stale}`);
+  console.log();
+  console.log('=== Remaining Queue ===');
+  const remaining = queue.length - requestsThisRun;
+  console.log(`Still need refresh: ${remaining.toLocaleString()} entries`);
+  console.log(`Estimated runs to clear: ${Math.ceil(remaining / options.budget)}`);
+  console.log();
+  console.log('=== Database Status ===');
+  console.log(`Passports in DB: ${passportsCovered}`);
+  console.log(`Total rules in DB: ${totalRules.toLocaleString()}`);
+  console.log();
+
+  // Estimate refresh cycle
+  const monthsForFullCycle = Math.ceil(stats.total / options.budget);
+  console.log('=== Refresh Cycle Estimate ===');
+  console.log(`Full database: ${stats.total.toLocaleString()} pairs`);
+  console.log(`Monthly capacity: ${options.budget.toLocaleString()} requests`);
+  console.log(`Full cycle time: ~${monthsForFullCycle} months`);
+  console.log();
+
+  const runtimeMinutes = Math.ceil((Date.now() - startedAt) / 1000 / 60);
+  console.log(`This run took: ~${runtimeMinutes} minutes`);
+}
+
+module.exports = {
+  description: 'Monthly Pro tier refresh - oldest entries across every pair first',
+  options: OPTIONS,
+  run,
+  // Exported for the tests
+  generateRefreshQueue,
+};
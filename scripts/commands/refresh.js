@@ -0,0 +1,239 @@
+/**
+ * borderwise refresh - Smart Visa Data Update
+ *
+ * INTELLIGENT LIFECYCLE TRACKING:
+ * - Tracks when each passport/destination pair was last updated
+ * - Prioritizes pairs that have NEVER been updated (fill gaps first)
+ * - Then updates the OLDEST data (stale refresh)
+ * - Skips anything updated within the last 30 days
+ * - NEVER overwrites good data with "unknown" or errors (every result goes
+ *   through the merge policy - see lib/merge.js)
+ *
+ * With 120 requests/month (30/week), this system will:
+ * - First fill all missing data
+ * - Then keep everything fresh on a rotation
+ *
+ * Runs weekly from .github/workflows/update-data.yml.
+ */
+
+const { PATHS, loadData, loadJson, recordResult, saveData, saveJson } = require('../lib/store');
+const { API_OPTIONS, createApiClient, printDryRun, resolveBudget } = require('../lib/cli');
+const { CORE_PASSPORTS, COUNTRY_CODES } = require('../lib/countries');
+const { isSettled } = require('../lib/requirements');
+const { formatStay } = require('../lib/durations');
+const { disputesFirst, findDisputesInFile } = require('../lib/disputes');
+
+const OPTIONS = {
+  budget: { type: 'number', default: 30, description: 'Max API requests this run' },
+  'skip-days': { type: 'number', default: 30, description: "Don't update pairs updated within this many days" },
+  'disputes-first': { type: 'boolean', default: false, description: 'Update pairs the passport-index dataset disagrees with first (see disputes)' },
+  ...API_OPTIONS,
+};
+
+/**
+ * Load lifecycle tracking data
+ */
+function loadLifecycle() {
+  return loadJson(PATHS.lifecycle, { lastUpdates: {}, stats: { totalPairs: 0, updatedPairs: 0 } });
+}
+
+/**
+ * Save lifecycle tracking data
+ */
+function saveLifecycle(lifecycle) {
+  saveJson(PATHS.lifecycle, lifecycle, 'lifecycle');
+}
+
+/**
+ * Get pairs that need updating, sorted by priority
+ */
+function getPairsToUpdate(data, lifecycle, { passports, destinations, skipDays }) {
+  const now = Date.now();
+  const skipThreshold = skipDays * 24 * 60 * 60 * 1000;
+
+  const pairs = [];
+
+  for (const passport of passports) {
+    for (const destination of destinations) {
+      // Skip same country
+      if (passport === destination) continue;
+
+      const lastUpdate = lifecycle.lastUpdates?.[passport]?.[destination];
+      const currentData = data.rules?.[passport]?.[destination];
+
+      // No admission / free movement are known answers - nothing to ask
+      if (isSettled(currentData)) continue;
+
+      // Calculate priority score (lower = higher priority)
+      let priority;
+      let reason;
+
+      if (!currentData || currentData.requirement === 'unknown') {
+        // Never updated or has unknown - HIGHEST priority
+        priority = 0;
+        reason = 'missing/unknown';
+      } else if (!lastUpdate) {
+        // Has data but no update record - high priority
+        priority = 1;
+        reason = 'no update record';
+      } else {
+        const timeSinceUpdate = now - new Date(lastUpdate).getTime();
+
+        if (timeSinceUpdate < skipThreshold) {
+          // Recently updated - skip
+          continue;
+        }
+
+        // Older data = higher priority (lower number)
+        priority = 2 + (timeSinceUpdate / (1000 * 60 * 60 * 24)); // Days since update
+        reason = `${Math.floor(timeSinceUpdate / (1000 * 60 * 60 * 24))} days old`;
+      }
+
+      pairs.push({ passport, destination, priority, reason });
+    }
+  }
+
+  // Sort by priority (lowest first = highest priority)
+  pairs.sort((a, b) => a.priority - b.priority);
+
+  return pairs;
+}
+
+async function run(options) {
+  const { client, ledger, scheduler } = createApiClient(options, {
+    script: 'refresh',
+    tier: 'basic',
+    source: 'rapidapi',
+    baseDelayMs: 3000,
+  });
+  const passports = options.passports || CORE_PASSPORTS;
+  const destinations = options.destinations || COUNTRY_CODES;
+
+  console.log('='.repeat(60));
+  console.log('SMART VISA DATA UPDATE');
+  console.log('='.repeat(60));
+  console.log(`Date: ${new Date().toISOString()}`);
+  const budget = resolveBudget(ledger, options.budget);
+  console.log(`Budget: ${budget} requests`);
+  console.log(`Rate: ${scheduler.describe()}`);
+  console.log(`Skip threshold: ${options.skipDays} days`);
+  console.log();
+
+  if (budget === 0) {
+    console.log('No request budget this run (see Quota above) - nothing to do.');
+    return;
+  }
+
+  const data = loadData();
+  const lifecycle = loadLifecycle();
+
+  // Get pairs that need updating
+  let pairsToUpdate = getPairsToUpdate(data, lifecycle, { passports, destinations, skipDays: options.skipDays });
+  if (options.disputesFirst) {
+    const disputes = findDisputesInFile(data, PATHS.passportIndex, { passports });
+    pairsToUpdate = disputesFirst(pairsToUpdate, disputes);
+    console.log(`Disputed by passport-index: ${disputes.length} pairs (due ones go first)`);
+  }
+
+  // Statistics
+  const totalPossible = passports.length * destinations.length;
+  const needsUpdate = pairsToUpdate.length;
+  const upToDate = totalPossible - needsUpdate;
+
+  console.log('DATABASE STATUS:');
+  console.log(`  Total pairs tracked: ${totalPossible}`);
+  console.log(`  Up-to-date (< ${options.skipDays} days): ${upToDate}`);
+  console.log(`  Needs update: ${needsUpdate}`);
+  console.log();
+
+  if (pairsToUpdate.length === 0) {
+    console.log('All data is up-to-date! Nothing to update.');
+    return;
+  }
+
+  // Show what we're about to update
+  const batch = pairsToUpdate.slice(0, budget);
+  if (options.dryRun) {
+    printDryRun(batch, p => `${p.passport}->${p.destination} (${p.reason})`);
+    return;
+  }
+  console.log(`UPDATING ${batch.length} pairs:`);
+  batch.forEach((p, i) => {
+    console.log(`  ${i + 1}. ${p.passport}->${p.destination} (${p.reason})`);
+  });
+  console.log();
+
+  // Process batch
+  let updated = 0;
+  let skipped = 0;
+  let rejected = 0;
+  let stopped = false;
+
+  await scheduler.forEach(batch, async ({ passport, destination }, i) => {
+    const result = await client.checkVisaRequirement(passport, destination);
+    const label = `[${i + 1}/${batch.length}] ${passport}->${destination}:`;
+
+    if (result?.rateLimited || result?.quotaExceeded) {
+      console.log(`${label} STOPPED (limit reached)`);
+      stopped = true;
+      scheduler.stop();
+      return;
+    }
+
+    if (result) {
+      // Merge into the data (journaled until the final save)
+      const decision = recordResult(data, passport, destination, result);
+
+      if (decision.accepted) {
+        // Update lifecycle tracking
+        if (!lifecycle.lastUpdates[passport]) {
+          lifecycle.lastUpdates[passport] = {};
+        }
+        lifecycle.lastUpdates[passport][destination] = new Date().toISOString();
+
+        console.log(`${label} ${result.requirement} (${formatStay(result.stay) || '-'})`);
+        updated++;
+      } else {
+        console.log(`${label} KEPT EXISTING (${decision.reason}: ${decision.detail})`);
+        rejected++;
+      }
+    } else {
+      console.log(`${label} SKIPPED (API error - preserving existing data)`);
+      skipped++;
+    }
+  });
+
+  // Save only if we made updates
+  if (updated > 0) {
+    saveData(data);
+    saveLifecycle(lifecycle);
+    console.log('\nData saved successfully!');
+  } else {
+    console.log('\nNo updates made - existing data preserved.');
+  }
+
+  // Summary
+  console.log();
+  console.log('='.repeat(60));
+  console.log('SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`Updated: ${updated}`);
+  console.log(`Skipped: ${skipped}`);
+  console.log(`Rejected by merge policy: ${rejected}`);
+  console.log(`Stopped early: ${stopped ? 'YES' : 'No'}`);
+  console.log();
+
+  // Show remaining work
+  const remaining = needsUpdate - updated;
+  const weeksToComplete = Math.ceil(remaining / options.budget);
+  console.log(`Remaining pairs to update: ${remaining}`);
+  console.log(`Estimated weeks to complete: ${weeksToComplete}`);
+}
+
+module.exports = {
+  description: 'Weekly smart update - fill missing pairs, then refresh the oldest',
+  options: OPTIONS,
+  run,
+  // Exported for the tests
+  getPairsToUpdate,
+};
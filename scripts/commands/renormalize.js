@@ -0,0 +1,129 @@
+/**
+ * borderwise renormalize - Rebuild Rules from the Raw Response Archive
+ *
+ * Re-reads the newest archived response for every pair (data/raw/, see
+ * lib/raw-archive.js) with the current provider field mapping and
+ * requirement / duration normalizers, and merges the results into
+ * visa-rules.json through the merge policy. Apply a classifier fix to past
+ * answers without spending quota:
+ *
+ *   borderwise renormalize --dry-run     # what would change
+ *   borderwise renormalize --passports GB,US
+ *
+ * Makes no network calls: fetch is disabled for the whole run.
+ */
+
+const { DATA_DIR, PATHS, appendMergeLog, loadData, saveData } = require('../lib/store');
+const { CliError } = require('../lib/cli');
+const { createRawArchive } = require('../lib/raw-archive');
+const { parseRawResponse } = require('../lib/providers');
+const { mapResponse } = require('../lib/visa-client');
+const { auditRecord, mergeEntry } = require('../lib/merge');
+const { formatStay, sameStay } = require('../lib/durations');
+
+const OPTIONS = {
+  passports: { type: 'list', default: null, description: 'Only these passports, e.g. GB,US' },
+  'dry-run': { type: 'boolean', default: false, description: 'Report what would change without writing' },
+};
+
+// Changes listed in the report (all are counted)
+const SHOWN_CHANGES = 30;
+
+function formatEntry(entry) {
+  if (!entry) return '-';
+  const stay = formatStay(entry.stay);
+  return `${entry.requirement}${stay ? ` (${stay})` : ''}`;
+}
+
+function withoutNetwork(fn) {
+  const originalFetch = globalThis.fetch;
+  globalThis.fetch = () => {
+    throw new Error('renormalize must not make network calls');
+  };
+  try {
+    return fn();
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
+
+function renormalize(options) {
+  const archive = createRawArchive(DATA_DIR);
+  const passports = archive.passports().filter(p => !options.passports || options.passports.includes(p));
+  if (passports.length === 0) {
+    throw new CliError(`No archived responses${options.passports ? ` for ${options.passports.join(', ')}` : ''} in ${DATA_DIR}/raw`);
+  }
+
+  const data = loadData();
+  const mergeLog = [];
+  const changes = [];
+  const counts = { responses: 0, changed: 0, unchanged: 0, rejected: 0, unrecognised: 0 };
+
+  for (const passport of passports) {
+    for (const [destination, record] of archive.latest(passport)) {
+      counts.responses++;
+      const entry = mapResponse(
+        parseRawResponse(record.provider, record.raw),
+        record.source,
+        passport,
+        destination,
+        record.fetchedAt
+      );
+      if (entry.requirement === 'unknown') counts.unrecognised++;
+
+      const existing = data.rules[passport]?.[destination];
+      const decision = mergeEntry(existing, entry);
+      mergeLog.push(auditRecord(passport, destination, existing, entry, decision));
+      if (!decision.accepted) {
+        counts.rejected++;
+        continue;
+      }
+
+      if (existing && existing.requirement === entry.requirement && sameStay(existing.stay, entry.stay)) {
+        counts.unchanged++;
+      } else {
+        counts.changed++;
+        changes.push({ passport, destination, from: existing, to: entry });
+      }
+      if (!data.rules[passport]) data.rules[passport] = {};
+      data.rules[passport][destination] = decision.entry;
+    }
+  }
+
+  console.log('='.repeat(60));
+  console.log('RENORMALIZE FROM RAW ARCHIVE');
+  console.log('='.repeat(60));
+  console.log(`Passports: ${passports.length}`);
+  console.log(`Archived pairs: ${counts.responses}`);
+  console.log(`Changed: ${counts.changed}`);
+  console.log(`Unchanged: ${counts.unchanged}`);
+  console.log(`Rejected by merge policy: ${counts.rejected} (newer data, or still unrecognised)`);
+  console.log(`Still unrecognised: ${counts.unrecognised}`);
+  console.log();
+
+  for (const { passport, destination, from, to } of changes.slice(0, SHOWN_CHANGES)) {
+    console.log(`  ${passport}->${destination}: ${formatEntry(from)} -> ${formatEntry(to)}`);
+  }
+  if (changes.length > SHOWN_CHANGES) {
+    console.log(`  ... and ${changes.length - SHOWN_CHANGES} more`);
+  }
+  if (changes.length > 0) console.log();
+
+  if (options.dryRun) {
+    console.log('DRY RUN - nothing written');
+    return;
+  }
+  appendMergeLog(mergeLog);
+  saveData(data);
+  console.log(`Data saved to: ${PATHS.rules}`);
+}
+
+function run(options) {
+  withoutNetwork(() => renormalize(options));
+}
+
+module.exports = {
+  description: 'Rebuild visa-rules.json from archived raw responses (no network)',
+  options: OPTIONS,
+  run,
+};
@@ -0,0 +1,197 @@
+/**
+ * borderwise rotate - Update Visa Data by rotating through priority pairs
+ *
+ * STRATEGY FOR 120 REQUESTS/MONTH LIMIT:
+ * - Weekly runs = 4 runs per month
+ * - 30 requests per run maximum
+ * - Focus on verifying/updating existing static data
+ * - Prioritize most-used passport/destination pairs
+ *
+ * The app primarily uses comprehensive static data.
+ * API calls are for verification and keeping data fresh.
+ *
+ * With --passports/--destinations only the matching pairs are checked and
+ * the rotation position is left alone.
+ */
+
+const { PATHS, loadData, loadJson, recordResult, saveData, saveJson } = require('../lib/store');
+const { API_OPTIONS, createApiClient, filterPairs, printDryRun, resolveBudget } = require('../lib/cli');
+const { formatStay, sameStay } = require('../lib/durations');
+
+const OPTIONS = {
+  budget: { type: 'number', default: 30, description: 'Max API requests this run' },
+  ...API_OPTIONS,
+};
+
+// Priority pairs to keep fresh (most used combinations)
+// With 30 requests per week, we rotate through these
+const PRIORITY_PAIRS = [
+  // UK to popular destinations
+  ['GB', 'ES'], ['GB', 'FR'], ['GB', 'TH'], ['GB', 'US'], ['GB', 'GR'],
+  ['GB', 'PT'], ['GB', 'IT'], ['GB', 'AE'], ['GB', 'JP'], ['GB', 'AU'],
+  // US to popular destinations
+  ['US', 'GB'], ['US', 'MX'], ['US', 'JP'], ['US', 'FR'], ['US', 'IT'],
+  ['US', 'TH'], ['US', 'ES'], ['US', 'DE'], ['US', 'CA'], ['US', 'AU'],
+  // Nigeria to common destinations
+  ['NG', 'GB'], ['NG', 'US'], ['NG', 'AE'], ['NG', 'GH'], ['NG', 'ZA'],
+  // India to common destinations
+  ['IN', 'AE'], ['IN', 'SG'], ['IN', 'TH'], ['IN', 'GB'], ['IN', 'US'],
+  // Ghana to common destinations
+  ['GH', 'GB'], ['GH', 'US'], ['GH', 'NG'], ['GH', 'AE'], ['GH', 'ZA'],
+  // South Africa
+  ['ZA', 'GB'], ['ZA', 'US'], ['ZA', 'AE'], ['ZA', 'TH'], ['ZA', 'MU'],
+  // Other popular pairs
+  ['DE', 'US'], ['DE', 'TH'], ['DE', 'JP'],
+  ['AU', 'US'], ['AU', 'GB'], ['AU', 'TH'],
+  ['JP', 'US'], ['JP', 'GB'], ['JP', 'TH'],
+  ['SG', 'US'], ['SG', 'GB'], ['SG', 'AU'],
+  ['BR', 'US'], ['BR', 'PT'], ['BR', 'JP'],
+  ['MX', 'US'], ['MX', 'ES'], ['MX', 'CA'],
+];
+
+const MAX_RETRIES = 3;
+const BACKOFF_MULTIPLIER = 2;
+
+function loadProgress() {
+  return loadJson(PATHS.progress, { lastIndex: 0, lastRun: null });
+}
+
+function saveProgress(index) {
+  saveJson(PATHS.progress, {
+    lastIndex: index,
+    lastRun: new Date().toISOString(),
+  }, 'progress');
+}
+
+async function run(options) {
+  const { client, ledger, scheduler } = createApiClient(options, {
+    script: 'rotate',
+    tier: 'basic',
+    source: 'rapidapi',
+    baseDelayMs: 3000,
+    maxRetries: MAX_RETRIES,
+    backoffMultiplier: BACKOFF_MULTIPLIER,
+  });
+  const filtered = Boolean(options.passports || options.destinations);
+  const rotation = filtered ? filterPairs(PRIORITY_PAIRS, options) : PRIORITY_PAIRS;
+
+  console.log('=== Visa Data Update ===');
+  console.log(`Date: ${new Date().toISOString()}`);
+  const budget = resolveBudget(ledger, options.budget);
+  console.log(`Budget: ${budget} requests this run`);
+  console.log(`Rate: ${scheduler.describe()}`);
+  console.log(`Retry strategy: ${MAX_RETRIES} retries with ${BACKOFF_MULTIPLIER}x backoff`);
+  console.log(`Total priority pairs: ${rotation.length}`);
+  console.log();
+
+  if (rotation.length === 0) {
+    console.log('No priority pairs match the --passports/--destinations filter.');
+    return;
+  }
+
+  if (budget === 0) {
+    console.log('No request budget this run (see Quota above) - nothing to do.');
+    return;
+  }
+
+  const data = loadData();
+  const progress = loadProgress();
+
+  // Determine which pairs to check this run
+  let startIndex = filtered ? 0 : progress.lastIndex % rotation.length;
+  const pairsToCheck = rotation.slice(startIndex, startIndex + budget);
+
+  // If we don't have enough, wrap around
+  if (pairsToCheck.length < budget) {
+    pairsToCheck.push(...rotation.slice(0, Math.min(startIndex, budget - pairsToCheck.length)));
+  }
+
+  if (options.dryRun) {
+    printDryRun(pairsToCheck);
+    return;
+  }
+
+  console.log(`Checking ${pairsToCheck.length} pairs starting from index ${startIndex}`);
+  console.log();
+
+  let updated = 0;
+  let unchanged = 0;
+  let skipped = 0;
+  let rejected = 0;
+  let rateLimited = false;
+  let quotaExceeded = false;
+  let actualRequests = 0;
+
+  await scheduler.forEach(pairsToCheck, async ([passport, destination]) => {
+    const result = await client.checkVisaRequirement(passport, destination);
+    actualRequests++;
+
+    if (result?.rateLimited) {
+      rateLimited = true;
+      scheduler.stop();
+      return;
+    }
+
+    if (result?.quotaExceeded) {
+      quotaExceeded = true;
+      console.log('!! Stopping to preserve existing data - quota exceeded');
+      scheduler.stop();
+      return;
+    }
+
+    if (result) {
+      const existing = data.rules[passport]?.[destination];
+      const changed = !existing ||
+        existing.requirement !== result.requirement ||
+        !sameStay(existing.stay, result.stay);
+
+      const decision = changed ? recordResult(data, passport, destination, result) : null;
+      if (decision?.accepted) {
+        console.log(`[UPDATED] ${passport}->${destination}: ${result.requirement} (${formatStay(result.stay) || '-'})`);
+        updated++;
+      } else if (decision) {
+        console.log(`[KEPT] ${passport}->${destination}: ${existing.requirement} (${decision.reason}: ${decision.detail})`);
+        rejected++;
+      } else {
+        console.log(`[OK] ${passport}->${destination}: ${result.requirement}`);
+        unchanged++;
+      }
+    } else {
+      // null means API error or unrecognized format - skip, don't overwrite
+      console.log(`[SKIPPED] ${passport}->${destination} (API error or unrecognized format)`);
+      skipped++;
+    }
+  });
+
+  // Save progress - don't advance if quota exceeded (will retry next run)
+  const nextIndex = (rateLimited || quotaExceeded) ? startIndex : (startIndex + actualRequests) % rotation.length;
+  if (!filtered) {
+    saveProgress(nextIndex);
+  }
+
+  // Only save data if we actually updated something
+  if (updated > 0) {
+    saveData(data);
+  } else {
+    console.log('\nNo updates made - preserving existing data');
+  }
+
+  console.log();
+  console.log('=== Summary ===');
+  console.log(`Requests made: ${actualRequests}`);
+  console.log(`Updated: ${updated}`);
+  console.log(`Unchanged: ${unchanged}`);
+  console.log(`Skipped: ${skipped}`);
+  console.log(`Rejected by merge policy: ${rejected}`);
+  console.log(`Rate limited: ${rateLimited ? 'YES' : 'No'}`);
+  console.log(`Quota exceeded: ${quotaExceeded ? 'YES' : 'No'}`);
+  if (!filtered) {
+    console.log(`Next run starts at index: ${nextIndex}`);
+  }
+}
+
+module.exports = {
+  description: 'Re-check the most-used passport/destination pairs in rotation',
+  options: OPTIONS,
+  run,
+};
@@ -0,0 +1,176 @@
+/**
+ * borderwise stats - Database Statistics
+ *
+ * Read-only summary of the published data/: rule counts by requirement
+ * and source, how fresh the entries are (by lastChecked; settled statuses
+ * such as no-admission count as known, not as never checked), where
+ * durations came from (sourced, assumed default or derived - see
+ * provenance.js), confidence scores (see confidence.js) and this month's
+ * API spend from the quota ledger.
+ */
+
+const { PATHS, countRules, loadJson, loadPublished, migrateData } = require('../lib/store');
+const { TIERS, monthKey, monthTotal } = require('../lib/quota-ledger');
+const { isSettled } = require('../lib/requirements');
+const { basisOf } = require('../lib/provenance');
+const { LOW_CONFIDENCE } = require('../lib/confidence');
+
+// Scores at or above this count as high confidence
+const HIGH_CONFIDENCE = 0.8;
+
+const OPTIONS = {
+  passports: { type: 'list', default: null, description: 'Only count these passports, e.g. GB,US' },
+  'fresh-days': { type: 'number', default: 30, description: 'Entries checked within this many days count as fresh' },
+  'stale-days': { type: 'number', default: 60, description: 'Entries older than this count as critical' },
+  json: { type: 'boolean', default: false, description: 'Print JSON instead of text' },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * Collect statistics for a rules object
+ */
+function collectStats(data, { passports, freshDays, staleDays }) {
+  const now = Date.now();
+  const stats = {
+    dataVersion: data.dataVersion ?? null,
+    lastUpdated: data.lastUpdated ?? null,
+    passports: 0,
+    rules: 0,
+    requirements: {},
+    sources: {},
+    freshness: { settled: 0, never: 0, fresh: 0, stale: 0, critical: 0 },
+    durationBasis: { observed: 0, assumed: 0, derived: 0, none: 0 },
+    confidence: { high: 0, medium: 0, low: 0, unscored: 0 },
+  };
+
+  for (const [passport, destinations] of Object.entries(data.rules)) {
+    if (passports && !passports.includes(passport)) continue;
+    stats.passports++;
+
+    for (const entry of Object.values(destinations)) {
+      stats.rules++;
+      increment(stats.requirements, entry.requirement);
+      increment(stats.sources, entry.source);
+      stats.durationBasis[basisOf(entry, 'duration') ?? 'none']++;
+      if (typeof entry.confidence !== 'number') stats.confidence.unscored++;
+      else if (entry.confidence < LOW_CONFIDENCE) stats.confidence.low++;
+      else if (entry.confidence < HIGH_CONFIDENCE) stats.confidence.medium++;
+      else stats.confidence.high++;
+
+      if (isSettled(entry)) {
+        stats.freshness.settled++;
+        continue;
+      }
+      if (!entry.lastChecked) {
+        stats.freshness.never++;
+        continue;
+      }
+      const days = (now - new Date(entry.lastChecked).getTime()) / DAY_MS;
+      if (days < freshDays) stats.freshness.fresh++;
+      else if (days < staleDays) stats.freshness.stale++;
+      else stats.freshness.critical++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * This month's requests from the quota ledger, by tier
+ */
+function collectQuota() {
+  const ledger = loadJson(PATHS.quotaLedger, { lastUpdated: null, months: {} });
+  const month = monthKey();
+  const tiers = ledger.months[month] || {};
+  return {
+    month,
+    total: monthTotal(ledger, month),
+    tiers: Object.fromEntries(Object.entries(tiers).map(([tier, scripts]) => [tier, {
+      limit: TIERS[tier]?.monthlyLimit ?? null,
+      scripts,
+    }])),
+  };
+}
+
+function printCounts(title, counts, total, { sorted = true } = {}) {
+  console.log(title);
+  const entries = Object.entries(counts);
+  if (sorted) entries.sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) {
+    console.log('  (none)');
+  }
+  for (const [key, count] of entries) {
+    const percent = total > 0 ? (count / total * 100).toFixed(1) : '0.0';
+    console.log(`  ${key.padEnd(20)} ${String(count).padStart(7)}  ${percent.padStart(5)}%`);
+  }
+  console.log();
+}
+
+function run(options) {
+  const data = migrateData(loadPublished() || { rules: {} });
+  const stats = collectStats(data, options);
+  const quota = collectQuota();
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...stats, quota }, null, 2));
+    return;
+  }
+
+  const { freshDays, staleDays } = options;
+
+  console.log('='.repeat(60));
+  console.log('DATABASE STATS');
+  console.log('='.repeat(60));
+  console.log(`Data version: ${stats.dataVersion ?? '-'}`);
+  console.log(`Last updated: ${stats.lastUpdated ?? '-'}`);
+  console.log(`Passports: ${stats.passports}${options.passports ? ` (filtered from ${countRules(data).passportCount})` : ''}`);
+  console.log(`Rules: ${stats.rules.toLocaleString()}`);
+  console.log();
+
+  printCounts('BY REQUIREMENT:', stats.requirements, stats.rules);
+  printCounts('BY SOURCE:', stats.sources, stats.rules);
+  printCounts('FRESHNESS (lastChecked):', {
+    'settled': stats.freshness.settled,
+    'never checked': stats.freshness.never,
+    [`< ${freshDays} days`]: stats.freshness.fresh,
+    [`${freshDays}-${staleDays} days`]: stats.freshness.stale,
+    [`${staleDays}+ days`]: stats.freshness.critical,
+  }, stats.rules, { sorted: false });
+  printCounts('DURATION PROVENANCE:', {
+    'observed': stats.durationBasis.observed,
+    'assumed (unconfirmed)': stats.durationBasis.assumed,
+    'derived': stats.durationBasis.derived,
+    'no provenance': stats.durationBasis.none,
+  }, stats.rules, { sorted: false });
+  printCounts('CONFIDENCE:', {
+    [`high (>= ${HIGH_CONFIDENCE})`]: stats.confidence.high,
+    'medium': stats.confidence.medium,
+    [`low (< ${LOW_CONFIDENCE})`]: stats.confidence.low,
+    'not scored': stats.confidence.unscored,
+  }, stats.rules, { sorted: false });
+
+  console.log(`API QUOTA (${quota.month}):`);
+  if (quota.total === 0) {
+    console.log('  No requests recorded this month');
+  }
+  for (const [tier, { limit, scripts }] of Object.entries(quota.tiers)) {
+    for (const [script, count] of Object.entries(scripts)) {
+      console.log(`  ${tier.padEnd(6)} ${script.padEnd(20)} ${String(count).padStart(7)}`);
+    }
+    if (limit !== null) {
+      console.log(`  ${tier.padEnd(6)} ${'allowance'.padEnd(20)} ${String(limit).padStart(7)}`);
+    }
+  }
+  console.log(`  Total this month: ${quota.total.toLocaleString()}`);
+}
+
+module.exports = {
+  description: 'Rule counts, freshness and this month\'s API spend',
+  options: OPTIONS,
+  run,
+};
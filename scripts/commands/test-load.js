@@ -0,0 +1,139 @@
+/**
+ * borderwise test-load - Test Database Load, 100 requests only
+ *
+ * Purpose: Verify that the workflow properly saves data
+ * Uses ~100 of your remaining API quota
+ */
+
+const { PATHS, loadData, recordResult, saveData } = require('../lib/store');
+const { API_OPTIONS, createApiClient, printDryRun, resolveBudget } = require('../lib/cli');
+
+const OPTIONS = {
+  budget: { type: 'number', default: 100, description: 'Max API requests this run' },
+  ...API_OPTIONS,
+};
+
+// Just test with a few passports - 100 requests total
+const TEST_PASSPORTS = ['GB', 'NG']; // 2 passports
+const TEST_DESTINATIONS = [
+  'US', 'CA', 'FR', 'DE', 'IT', 'ES', 'JP', 'AU', 'NZ', 'BR',
+  'MX', 'IN', 'CN', 'KR', 'SG', 'TH', 'MY', 'ID', 'PH', 'VN',
+  'AE', 'SA', 'EG', 'ZA', 'KE', 'GH', 'MA', 'TN', 'NG', 'ET',
+  'TR', 'RU', 'UA', 'PL', 'NL', 'BE', 'CH', 'AT', 'SE', 'NO',
+  'DK', 'FI', 'IE', 'PT', 'GR', 'CZ', 'HU', 'RO', 'BG', 'HR'
+]; // 50 destinations x 2 passports = 100 requests
+
+// Starting point when there is no visa-rules.json yet
+const EMPTY_DATA = {
+  version: '3.0.0',
+  lastUpdated: null,
+  dataVersion: 0,
+  source: 'Mixed sources',
+  rules: {},
+};
+
+async function run(options) {
+  const { client, ledger, scheduler } = createApiClient(options, {
+    script: 'test-load',
+    tier: 'ultra',
+    source: 'rapidapi-test',
+    baseDelayMs: 1000,
+  });
+  const passports = options.passports || TEST_PASSPORTS;
+  const destinations = options.destinations || TEST_DESTINATIONS;
+
+  console.log(`=== Test Database Load (${options.budget} requests) ===`);
+  console.log(`Date: ${new Date().toISOString()}`);
+  console.log(`Test passports: ${passports.join(', ')}`);
+  console.log(`Test destinations: ${destinations.length}`);
+  const budget = resolveBudget(ledger, options.budget);
+  console.log(`Expected requests: ${Math.min(budget, passports.length * destinations.length)}`);
+  console.log(`Rate: ${scheduler.describe()}`);
+  console.log();
+
+  if (budget === 0) {
+    console.log('No request budget this run (see Quota above) - nothing to do.');
+    return;
+  }
+
+  const pairs = [];
+  for (const passport of passports) {
+    for (const destination of destinations) {
+      if (passport !== destination) pairs.push([passport, destination]);
+    }
+  }
+  const pairsToCheck = pairs.slice(0, budget);
+
+  if (options.dryRun) {
+    printDryRun(pairsToCheck);
+    return;
+  }
+
+  const data = loadData(EMPTY_DATA);
+  let updated = 0;
+  let rejected = 0;
+  let errors = 0;
+  let requestCount = 0;
+  let stopped = false;
+
+  for (const passport of passports) {
+    if (stopped) break;
+    const destinationsToCheck = pairsToCheck.filter(([p]) => p === passport).map(([, d]) => d);
+    if (destinationsToCheck.length === 0) continue;
+    console.log(`Processing ${passport}...`);
+
+    await scheduler.forEach(destinationsToCheck, async destination => {
+      const result = await client.checkVisaRequirement(passport, destination);
+      requestCount++;
+
+      if (result?.rateLimited || result?.quotaExceeded) {
+        console.log(`\n!! ${result.quotaExceeded ? 'Quota exceeded' : 'Rate limit hit'} - stopping`);
+        stopped = true;
+        scheduler.stop();
+        return;
+      }
+
+      if (result) {
+        if (recordResult(data, passport, destination, result).accepted) {
+          updated++;
+          process.stdout.write('.');
+        } else {
+          rejected++;
+          process.stdout.write('-');
+        }
+      } else {
+        errors++;
+        process.stdout.write('x');
+      }
+    });
+    console.log();
+  }
+
+  // Save the data
+  saveData(data);
+
+  // Stats
+  const passportsCovered = Object.keys(data.rules).length;
+  const totalRules = Object.values(data.rules).reduce((sum, dests) => sum + Object.keys(dests).length, 0);
+
+  console.log();
+  console.log('=== Test Results ===');
+  console.log(`Requests made: ${requestCount}`);
+  console.log(`Updated: ${updated}`);
+  console.log(`Rejected by merge policy: ${rejected} (reasons in ${PATHS.mergeLog})`);
+  console.log(`Errors: ${errors}`);
+  console.log(`Stopped early: ${stopped ? 'YES' : 'No'}`);
+  console.log();
+  console.log('=== Database Status ===');
+  console.log(`Passports in DB: ${passportsCovered}`);
+  console.log(`Total rules in DB: ${totalRules}`);
+  console.log();
+  console.log('Data saved to visa-rules.json');
+  console.log('Workflow should now commit this file.');
+}
+
+module.exports = {
+  description: 'Small test load (2 passports x 50 destinations) to verify saving and committing',
+  options: OPTIONS,
+  run,
+};
@@ -0,0 +1,253 @@
+/**
+ * borderwise validate - Validate Data Files
+ *
+ * Checks every file in data/ against its schema in schemas/.
+ * Missing optional files are skipped; visa-rules.json, version.json and
+ * every delta or shard listed in a manifest must exist. Exits with code 1 if
+ * anything is invalid, and checks recorded hashes against the files on disk.
+ * Also fails when the country registry (scripts/lib/countries.json) and the
+ * passport-index datasets or visa-rules.json disagree on which countries exist.
+ * Every line of the pair history (data/history/*.jsonl) is checked too.
+ *
+ * The writers already validate before saving - this is the standalone check
+ * for CI and for data edited by hand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MAX_ERRORS, loadSchema, validate } = require('../lib/schema');
+const { DATA_DIR, PATHS, describeArtifact, loadJson } = require('../lib/store');
+const { COUNTRY_CODES, findRegistryConflicts } = require('../lib/countries');
+const { CsvError } = require('../lib/csv');
+const { readPassportIndexCsv } = require('../lib/passport-index-csv');
+
+const FILES = [
+  { name: 'visa-rules', path: PATHS.rules, required: true },
+  { name: 'version', path: PATHS.version, required: true },
+  { name: 'lifecycle', path: PATHS.lifecycle, required: false },
+  { name: 'progress', path: PATHS.progress, required: false },
+  { name: 'full-load-progress', path: PATHS.fullLoadProgress, required: false },
+  { name: 'quota-ledger', path: PATHS.quotaLedger, required: false },
+];
+
+// Passport Index files checked against the country registry (when present)
+const DATASETS = ['passport-index-iso2.csv', 'passport-index-tidy.csv', 'passport-index-raw.csv']
+  .map(name => path.join(DATA_DIR, name));
+
+/**
+ * Every delta advertised in version.json must exist and be valid
+ */
+function listDeltaFiles() {
+  const version = loadJson(PATHS.version, {});
+  return (version.deltas || []).map(delta => ({
+    name: 'delta',
+    path: path.join(DATA_DIR, delta.path),
+    required: true,
+  }));
+}
+
+/**
+ * Every shard listed in passports/index.json must exist and be valid
+ */
+function listShardFiles() {
+  const index = loadJson(PATHS.shardIndex, null);
+  if (!index) return [];
+  return [
+    { name: 'shard-index', path: PATHS.shardIndex, required: true },
+    ...Object.values(index.shards || {}).map(shard => ({
+      name: 'shard',
+      path: path.join(DATA_DIR, shard.path),
+      required: true,
+    })),
+  ];
+}
+
+/**
+ * Files whose hash/size is recorded in a manifest, with what was recorded
+ */
+function listRecordedHashes() {
+  const version = loadJson(PATHS.version, {});
+  const index = loadJson(PATHS.shardIndex, null);
+  const recorded = [];
+
+  for (const [relativePath, artifact] of Object.entries(version.artifacts || {})) {
+    recorded.push({ relativePath, ...artifact });
+  }
+  for (const delta of version.deltas || []) {
+    if (delta.sha256) recorded.push({ relativePath: delta.path, sha256: delta.sha256, size: delta.size });
+  }
+  for (const shard of Object.values(index?.shards || {})) {
+    recorded.push({ relativePath: shard.path, sha256: shard.sha256, size: shard.size });
+  }
+  return recorded;
+}
+
+/**
+ * Check that every recorded hash and size matches the file on disk
+ */
+function verifyIntegrity() {
+  let mismatches = 0;
+  for (const { relativePath, sha256, size } of listRecordedHashes()) {
+    const filePath = path.join(DATA_DIR, relativePath);
+    if (!fs.existsSync(filePath)) continue; // Reported as missing above
+    const actual = describeArtifact(fs.readFileSync(filePath));
+    if (actual.sha256 !== sha256 || actual.size !== size) {
+      console.log(`[HASH]    ${filePath}: recorded ${sha256.slice(0, 12)}… (${size} bytes), found ${actual.sha256.slice(0, 12)}… (${actual.size} bytes)`);
+      mismatches++;
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Check the country registry against itself, the datasets and the rules:
+ * every dataset name must resolve, every registered country must appear in
+ * each dataset, and every code in visa-rules.json must be registered.
+ * Returns the number of problems.
+ */
+function checkCountries() {
+  const problems = findRegistryConflicts().map(problem => `registry: ${problem}`);
+  const registered = new Set(COUNTRY_CODES);
+
+  for (const file of DATASETS) {
+    if (!fs.existsSync(file)) continue;
+    let rows;
+    try {
+      ({ rows } = readPassportIndexCsv(file));
+    } catch (error) {
+      if (!(error instanceof CsvError)) throw error;
+      problems.push(error.message);
+      continue;
+    }
+    const codes = new Set(rows.flatMap(row => [row.passport, row.destination]));
+    const absent = COUNTRY_CODES.filter(code => !codes.has(code));
+    if (absent.length > 0) {
+      problems.push(`${file}: no rows for registered ${absent.join(', ')}`);
+    }
+  }
+
+  const rules = loadJson(PATHS.rules, { rules: {} }).rules || {};
+  const unregistered = new Set();
+  for (const [passport, destinations] of Object.entries(rules)) {
+    if (!registered.has(passport)) unregistered.add(passport);
+    for (const destination of Object.keys(destinations)) {
+      if (!registered.has(destination)) unregistered.add(destination);
+    }
+  }
+  if (unregistered.size > 0) {
+    problems.push(`${PATHS.rules}: codes not in the registry: ${[...unregistered].sort().join(', ')}`);
+  }
+
+  for (const problem of problems) {
+    console.log(`[COUNTRY] ${problem}`);
+  }
+  if (problems.length === 0) {
+    console.log(`[OK]      country registry (${COUNTRY_CODES.length} countries) matches the datasets`);
+  }
+  return problems.length;
+}
+
+/**
+ * Check every history record against its schema; a truncated last line
+ * (killed mid-append) is allowed. Returns the number of bad files.
+ */
+function checkHistory() {
+  if (!fs.existsSync(PATHS.history)) return 0;
+  const schema = loadSchema('history-record');
+  let failed = 0;
+
+  for (const name of fs.readdirSync(PATHS.history).filter(file => file.endsWith('.jsonl')).sort()) {
+    const filePath = path.join(PATHS.history, name);
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim());
+    const problems = [];
+    lines.forEach((line, i) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        if (i < lines.length - 1) problems.push(`line ${i + 1}: not valid JSON`);
+        return;
+      }
+      for (const error of validate(schema, record)) {
+        problems.push(`line ${i + 1}: ${error.path}: ${error.message}`);
+      }
+      if (record.passport !== name.replace(/\.jsonl$/, '')) {
+        problems.push(`line ${i + 1}: record for ${record.passport} in ${name}`);
+      }
+    });
+
+    if (problems.length > 0) {
+      failed++;
+      console.log(`[INVALID] ${filePath}: ${problems.length} error(s)`);
+      problems.slice(0, MAX_ERRORS).forEach(problem => console.log(`  ${problem}`));
+    }
+  }
+  if (failed === 0) {
+    console.log(`[OK]      pair history (${PATHS.history})`);
+  }
+  return failed;
+}
+
+function run() {
+  console.log('='.repeat(60));
+  console.log('VALIDATING DATA FILES');
+  console.log('='.repeat(60));
+
+  let failed = 0;
+
+  for (const file of [...FILES, ...listDeltaFiles(), ...listShardFiles()]) {
+    if (!fs.existsSync(file.path)) {
+      if (file.required) {
+        console.log(`[MISSING] ${file.path}`);
+        failed++;
+      } else {
+        console.log(`[SKIP]    ${file.path} (not present)`);
+      }
+      continue;
+    }
+
+    let value;
+    try {
+      value = JSON.parse(fs.readFileSync(file.path, 'utf8'));
+    } catch (error) {
+      console.log(`[INVALID] ${file.path}: not valid JSON (${error.message})`);
+      failed++;
+      continue;
+    }
+
+    const errors = validate(loadSchema(file.name), value);
+    if (errors.length === 0) {
+      console.log(`[OK]      ${file.path}`);
+      continue;
+    }
+
+    failed++;
+    const more = errors.length >= MAX_ERRORS ? '+' : '';
+    console.log(`[INVALID] ${file.path}: ${errors.length}${more} error(s)`);
+    for (const error of errors) {
+      console.log(`  ${error.path}: ${error.message}`);
+    }
+  }
+
+  const mismatches = verifyIntegrity();
+  if (mismatches === 0) {
+    console.log('[OK]      recorded hashes match');
+  }
+  failed += mismatches;
+  failed += checkCountries();
+  failed += checkHistory();
+
+  console.log();
+  if (failed > 0) {
+    console.log(`${failed} check(s) failed validation`);
+    return 1;
+  }
+  console.log('All data files are valid');
+  return 0;
+}
+
+module.exports = {
+  description: 'Validate data/ against schemas/ and recorded hashes (exit 1 on failure)',
+  options: {},
+  run,
+};
@@ -0,0 +1,58 @@
+/**
+ * Crash-Safe File Writes
+ *
+ * writeFileAtomic writes to a temp file next to the target, fsyncs it and
+ * renames it over the target. A job killed mid-write leaves either the old
+ * file or the new one - never a truncated one. (Leftover *.tmp files are
+ * git-ignored and overwritten by the next write.)
+ */
+
+const fs = require('fs');
+
+function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeFileSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Length of the file up to and including its last newline: everything after
+ * it is a line torn by a kill mid-append
+ */
+function completeLength(fd, size) {
+  const CHUNK = 4096;
+  const buffer = Buffer.alloc(CHUNK);
+  for (let end = size; end > 0; end -= CHUNK) {
+    const start = Math.max(0, end - CHUNK);
+    fs.readSync(fd, buffer, 0, end - start, start);
+    const newline = buffer.subarray(0, end - start).lastIndexOf(0x0a);
+    if (newline !== -1) return start + newline + 1;
+  }
+  return 0;
+}
+
+/**
+ * Append one line and fsync, so an acknowledged append survives a kill.
+ * A torn last line left by an earlier kill is cut off first - it was never
+ * acknowledged, and the new line must not be glued onto it.
+ */
+function appendLineSync(filePath, line) {
+  const fd = fs.openSync(filePath, 'a+');
+  try {
+    const { size } = fs.fstatSync(fd);
+    const complete = size > 0 ? completeLength(fd, size) : 0;
+    if (complete < size) fs.ftruncateSync(fd, complete);
+    fs.writeSync(fd, line + '\n');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+module.exports = { appendLineSync, writeFileAtomic };
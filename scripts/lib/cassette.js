@@ -0,0 +1,188 @@
+/**
+ * HTTP Cassettes - record real API exchanges, replay them offline
+ *
+ * A cassette stands in for fetch() in the RapidAPI provider (see
+ * providers/rapidapi.js). `--record <file>` passes every request through to
+ * the API and appends the exchange to the file; `--replay <file>` answers
+ * from the file and never touches the network:
+ *
+ *   {"request":{"method":"POST","url":"https://...","body":"passport=GB&destination=TH"},
+ *    "response":{"status":200,"headers":{...},"body":"{\"requirement\":...}"},
+ *    "recordedAt":"2026-03-01T12:00:00.000Z"}
+ *   {"request":{...},"error":{"name":"TypeError","message":"fetch failed"}}
+ *
+ * Bodies are kept as text, so 429s, quota messages and invalid bodies
+ * replay exactly; a network error replays as the same thrown error. Request
+ * headers (the API key) are never written.
+ *
+ * A replayed response carries its recordedAt in the RECORDED_AT_HEADER
+ * header, and the provider reports it as the time of the answer: a replay
+ * never makes an old answer look like a new one.
+ *
+ * Replay serves a request's recorded exchanges in order - a 429 and then the
+ * 200 its retry got - and throws a CassetteError when the cassette has no
+ * exchange left for it: a run that asks for something else is a different
+ * run, not a network failure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { appendLineSync } = require('./atomic-write');
+
+const MODES = ['record', 'replay'];
+
+// Response header a replayed response carries its recording time in
+const RECORDED_AT_HEADER = 'x-cassette-recorded-at';
+
+// Statuses a Response may not carry a body with
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+class CassetteError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CassetteError';
+  }
+}
+
+function requestKey({ method, url, body }) {
+  return `${method} ${url} ${body}`;
+}
+
+function describeRequest(request) {
+  return `${request.method} ${request.url}${request.body ? ` (${request.body})` : ''}`;
+}
+
+/**
+ * The parts of a fetch() call a cassette matches on
+ */
+function toRequest(url, init = {}) {
+  return {
+    method: (init.method || 'GET').toUpperCase(),
+    url: String(url),
+    body: init.body === undefined || init.body === null ? '' : String(init.body),
+  };
+}
+
+/**
+ * Read a cassette's exchanges, checking each one. Throws a CassetteError
+ * naming the first bad line.
+ */
+function readCassette(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new CassetteError(`Cassette not found: ${filePath}`);
+  }
+
+  const exchanges = [];
+  const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    let exchange;
+    try {
+      exchange = JSON.parse(line);
+    } catch {
+      throw new CassetteError(`${filePath} line ${i + 1}: not valid JSON`);
+    }
+    const { request, response, error } = exchange;
+    if (typeof request?.method !== 'string' || typeof request?.url !== 'string' || typeof request?.body !== 'string') {
+      throw new CassetteError(`${filePath} line ${i + 1}: request needs method, url and body`);
+    }
+    if (!response === !error || (response && !Number.isInteger(response.status))) {
+      throw new CassetteError(`${filePath} line ${i + 1}: needs either a response with a status or an error`);
+    }
+    if (response && Number.isNaN(Date.parse(exchange.recordedAt))) {
+      throw new CassetteError(`${filePath} line ${i + 1}: response needs the time it was recorded (recordedAt)`);
+    }
+    exchanges.push(exchange);
+  });
+  return exchanges;
+}
+
+function toResponse({ status, headers, body }, recordedAt = null) {
+  const allHeaders = { ...headers };
+  if (recordedAt) allHeaders[RECORDED_AT_HEADER] = recordedAt;
+  return new Response(NULL_BODY_STATUSES.includes(status) ? null : body, { status, headers: allHeaders });
+}
+
+/**
+ * fetch() that calls the API and appends every exchange to filePath
+ */
+function createRecorder(filePath, realFetch) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, '');
+
+  async function recordingFetch(url, init) {
+    const request = toRequest(url, init);
+    let response;
+    try {
+      response = await realFetch(url, init);
+    } catch (error) {
+      appendLineSync(filePath, JSON.stringify({ request, error: { name: error.name, message: error.message } }));
+      throw error;
+    }
+    const recordedAt = new Date().toISOString();
+
+    const recorded = {
+      status: response.status,
+      headers: Object.fromEntries([...response.headers].filter(([name]) => name !== 'set-cookie')),
+      body: await response.text(),
+    };
+    appendLineSync(filePath, JSON.stringify({ request, response: recorded, recordedAt }));
+    return toResponse(recorded);
+  }
+
+  return { fetch: recordingFetch };
+}
+
+/**
+ * fetch() that answers from the exchanges in filePath
+ */
+function createPlayer(filePath) {
+  const queues = new Map();
+  for (const exchange of readCassette(filePath)) {
+    const key = requestKey(exchange.request);
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(exchange);
+  }
+
+  async function replayingFetch(url, init) {
+    const request = toRequest(url, init);
+    const exchange = queues.get(requestKey(request))?.shift();
+    if (!exchange) {
+      throw new CassetteError(`${filePath} has no recorded response left for ${describeRequest(request)}`);
+    }
+    if (exchange.error) {
+      const error = new TypeError(exchange.error.message);
+      error.name = exchange.error.name || 'TypeError';
+      throw error;
+    }
+    return toResponse(exchange.response, exchange.recordedAt);
+  }
+
+  return { fetch: replayingFetch };
+}
+
+/**
+ * Create a cassette
+ *
+ * mode          - 'record' (starts an empty file) or 'replay'
+ * options.fetch - the real fetch, for recording (default: global fetch)
+ *
+ * Returns { mode, fetch }
+ */
+function createCassette(filePath, mode, options = {}) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown cassette mode "${mode}" (expected one of: ${MODES.join(', ')})`);
+  }
+  const cassette = mode === 'record'
+    ? createRecorder(filePath, options.fetch || globalThis.fetch)
+    : createPlayer(filePath);
+  return { mode, ...cassette };
+}
+
+module.exports = {
+  CassetteError,
+  MODES,
+  RECORDED_AT_HEADER,
+  createCassette,
+  readCassette,
+};
@@ -0,0 +1,241 @@
+/**
+ * CLI Helpers - option parsing and run setup shared by scripts/commands/
+ *
+ * A command declares its flags as a spec:
+ *
+ *   { budget: { type: 'number', default: 30, description: 'Max API requests this run' } }
+ *
+ * Types: 'number' (non-negative, or at least `min`), 'string', 'list'
+ * (comma-separated country codes, upper-cased) and 'boolean'. Flags are
+ * kebab-case on the command line and camelCase in the parsed options
+ * (--skip-days -> skipDays).
+ */
+
+const { parseArgs } = require('util');
+const { createVisaClient } = require('./visa-client');
+const { PROVIDERS, createProvider, getProviderName, isPaidProvider } = require('./providers');
+const { TIERS, createQuotaLedger, resolveTier } = require('./quota-ledger');
+const { createScheduler } = require('./scheduler');
+const { createRawArchive } = require('./raw-archive');
+const { createCassette } = require('./cassette');
+const { DATA_DIR, isScratchDataDir } = require('./store');
+
+/**
+ * Expected failure (missing key, missing file) - the CLI prints just the message
+ */
+class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliError';
+  }
+}
+
+/**
+ * Bad flags or arguments - the CLI prints the message and the command's help
+ */
+class UsageError extends CliError {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Flags shared by every command that calls a provider
+ */
+const API_OPTIONS = {
+  provider: { type: 'string', default: null, description: 'Data provider (rapidapi | passport-index | mock; default BORDERWISE_PROVIDER or rapidapi)' },
+  passports: { type: 'list', default: null, description: 'Only these passports, e.g. GB,US' },
+  destinations: { type: 'list', default: null, description: 'Only these destinations, e.g. TH,JP' },
+  'dry-run': { type: 'boolean', default: false, description: 'List the pairs that would be requested; no requests, no writes' },
+  rate: { type: 'number', default: null, description: "Requests per second, 0 for no limit (default: the API tier's)" },
+  concurrency: { type: 'number', default: null, min: 1, description: "Pairs in flight at once (default: the API tier's)" },
+  record: { type: 'string', default: null, description: 'Save every API exchange to this cassette file (see lib/cassette.js)' },
+  replay: { type: 'string', default: null, description: 'Answer API requests from this cassette file - no network, no key' },
+};
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function coerce(name, { type, min = 0 }, raw) {
+  switch (type) {
+    case 'number': {
+      const value = Number(raw);
+      if (raw === '' || !Number.isFinite(value) || value < min) {
+        const expected = min === 0 ? 'a non-negative number' : `a number of at least ${min}`;
+        throw new UsageError(`--${name} expects ${expected}, got "${raw}"`);
+      }
+      return value;
+    }
+    case 'list': {
+      const codes = raw.split(',').map(code => code.trim().toUpperCase()).filter(Boolean);
+      const invalid = codes.filter(code => !/^[A-Z]{2}$/.test(code));
+      if (codes.length === 0 || invalid.length > 0) {
+        throw new UsageError(`--${name} expects comma-separated country codes, got "${raw}"`);
+      }
+      return codes;
+    }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Parse argv against an option spec. Returns camelCased options plus
+ * `positionals` and `help`.
+ */
+function parseOptions(spec, argv) {
+  const parseSpec = { help: { type: 'boolean', short: 'h' } };
+  for (const [name, option] of Object.entries(spec)) {
+    parseSpec[name] = { type: option.type === 'boolean' ? 'boolean' : 'string' };
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: parseSpec, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const options = { positionals: parsed.positionals, help: Boolean(parsed.values.help) };
+  for (const [name, option] of Object.entries(spec)) {
+    const raw = parsed.values[name];
+    options[camelCase(name)] = raw === undefined ? option.default : coerce(name, option, raw);
+  }
+  return options;
+}
+
+/**
+ * Help text for one command
+ */
+function renderHelp(name, command) {
+  const lines = [`Usage: borderwise ${name}${command.usage ? ' ' + command.usage : ''} [options]`, '', command.description, '', 'Options:'];
+  const flags = Object.entries(command.options).map(([flag, option]) => {
+    const value = option.type === 'boolean' ? '' : option.type === 'list' ? ' <codes>' : ` <${option.type}>`;
+    const fallback = option.default === null || option.default === false || option.default === undefined
+      ? ''
+      : ` (default: ${option.default})`;
+    return [`  --${flag}${value}`, `${option.description}${fallback}`];
+  });
+  flags.push(['  -h, --help', 'Show this help']);
+  const width = Math.max(...flags.map(([flag]) => flag.length)) + 2;
+  for (const [flag, description] of flags) {
+    lines.push(flag.padEnd(width) + description);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Keep only pairs matching the --passports / --destinations filters
+ */
+function filterPairs(pairs, options) {
+  return pairs.filter(([passport, destination]) =>
+    (!options.passports || options.passports.includes(passport)) &&
+    (!options.destinations || options.destinations.includes(destination)));
+}
+
+/**
+ * Provider, quota ledger, scheduler and client for an API command
+ *
+ * setup.script      - name recorded in the quota ledger
+ * setup.tier        - default API tier for the ledger
+ * setup.source      - source id recorded on RapidAPI entries
+ * setup.baseDelayMs - first retry backoff
+ *
+ * Requests go through a scheduler sized to the tier (see scheduler.js);
+ * --rate and --concurrency override it. With --replay no key is needed,
+ * nothing is counted in the ledger (no quota is spent), there is no rate
+ * limit and retries don't wait. Unpaid providers have no rate limit either.
+ */
+function createApiClient(options, { script, tier, source, baseDelayMs, maxRetries = 3, backoffMultiplier = 2 }) {
+  const providerName = options.provider || getProviderName();
+  const apiKey = process.env.RAPIDAPI_KEY;
+  const paid = isPaidProvider(providerName);
+
+  if (!PROVIDERS[providerName]) {
+    throw new UsageError(`Unknown provider "${providerName}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  if (options.record && options.replay) {
+    throw new UsageError('--record and --replay cannot be used together');
+  }
+  if ((options.record || options.replay) && !paid) {
+    throw new UsageError(`--record / --replay only apply to the rapidapi provider, not "${providerName}"`);
+  }
+  const replaying = Boolean(options.replay);
+  // A replay is a rerun of old answers - it may not be merged into the published data
+  if (replaying && !options.dryRun && !isScratchDataDir()) {
+    throw new UsageError('--replay needs BORDERWISE_DATA_DIR set to a scratch copy of data/');
+  }
+
+  if (paid && !apiKey && !replaying && !options.dryRun) {
+    throw new CliError('RAPIDAPI_KEY environment variable is not set');
+  }
+
+  // Paid requests are counted in data/quota-ledger.json, shared with the other commands
+  const ledger = paid && !replaying ? createQuotaLedger({ script, tier }) : null;
+
+  const settings = TIERS[resolveTier(tier)];
+  const scheduler = createScheduler({
+    requestsPerSecond: options.rate ?? (paid && !replaying ? settings.requestsPerSecond : Infinity),
+    concurrency: options.concurrency ?? settings.concurrency,
+  });
+
+  // A dry run never calls the provider - no client without a key, no cassette
+  if (options.dryRun || (paid && !apiKey && !replaying)) {
+    return { client: null, ledger, scheduler };
+  }
+
+  let providerOptions = { apiKey, source };
+  if (replaying) {
+    providerOptions = { apiKey: 'replay', source, fetch: createCassette(options.replay, 'replay').fetch };
+  } else if (options.record) {
+    providerOptions.fetch = createCassette(options.record, 'record').fetch;
+  }
+
+  const client = createVisaClient({
+    provider: createProvider(providerName, providerOptions),
+    baseDelayMs: replaying ? 0 : baseDelayMs,
+    maxRetries,
+    backoffMultiplier,
+    ledger,
+    scheduler,
+    // Every response body, for `borderwise renormalize` - a replay fetched nothing new
+    archive: replaying ? null : createRawArchive(DATA_DIR),
+  });
+  return { client, ledger, scheduler };
+}
+
+/**
+ * Requests this run may make: the requested budget, capped by the ledger
+ */
+function resolveBudget(ledger, requested) {
+  if (ledger) console.log(`Quota: ${ledger.describe()}`);
+  return ledger ? ledger.budget(requested) : requested;
+}
+
+/**
+ * Print the plan for --dry-run (long plans are truncated)
+ */
+function printDryRun(pairs, describe = ([passport, destination]) => `${passport}->${destination}`) {
+  const SHOWN = 50;
+  console.log(`DRY RUN - would request ${pairs.length} pair(s):`);
+  pairs.slice(0, SHOWN).forEach((pair, i) => console.log(`  ${i + 1}. ${describe(pair)}`));
+  if (pairs.length > SHOWN) {
+    console.log(`  ... and ${pairs.length - SHOWN} more`);
+  }
+  console.log('\nNo requests made, nothing written.');
+}
+
+module.exports = {
+  API_OPTIONS,
+  CliError,
+  UsageError,
+  createApiClient,
+  filterPairs,
+  parseOptions,
+  printDryRun,
+  renderHelp,
+  resolveBudget,
+};
@@ -0,0 +1,99 @@
+/**
+ * Confidence Score - how far to trust one rule entry, 0 to 1
+ *
+ *   confidence = reliability x age x duration x agreement
+ *
+ *   reliability - the entry's source (merge-policy.json: API 0.95,
+ *                 passport-index 0.75, legacy 0.7)
+ *   age         - days since lastChecked, in bands so scores (and the
+ *                 published deltas) don't change every day:
+ *                   < 30 days 1.0, < 90 0.9, < 180 0.8, < 365 0.65, older 0.5
+ *                 Entries never checked against the API score 0.7
+ *   duration    - 0.8 when the stay is an assumed default (provenance.js)
+ *   agreement   - the passport-index dataset disagrees on the requirement
+ *                 0.6, on the duration 0.8 (disputes.js); agreeing or
+ *                 nothing to compare 1.0
+ *
+ * Home country and free movement follow from the country registry and score
+ * 1. saveData() stores the score on every entry as `confidence` (two
+ * decimals); below LOW_CONFIDENCE the app should show a caution.
+ */
+
+const { DEFAULT_POLICY, sourcePolicy } = require('./merge');
+const { isDurationAssumed } = require('./provenance');
+const { disputeKind } = require('./disputes');
+const { REGISTRY_STATUSES } = require('./requirements');
+
+const LOW_CONFIDENCE = 0.5;
+
+const AGE_BANDS = [
+  { maxDays: 30, factor: 1 },
+  { maxDays: 90, factor: 0.9 },
+  { maxDays: 180, factor: 0.8 },
+  { maxDays: 365, factor: 0.65 },
+  { maxDays: Infinity, factor: 0.5 },
+];
+const NEVER_CHECKED_FACTOR = 0.7;
+const ASSUMED_DURATION_FACTOR = 0.8;
+const AGREEMENT_FACTORS = { requirement: 0.6, duration: 0.8 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function ageFactor(lastChecked, now) {
+  if (!lastChecked) return NEVER_CHECKED_FACTOR;
+  const days = (now - new Date(lastChecked).getTime()) / DAY_MS;
+  return AGE_BANDS.find(band => days < band.maxDays).factor;
+}
+
+/**
+ * Confidence in one entry (see above)
+ *
+ * options.datasetValue - the passport-index value for the pair, if any
+ * options.now          - current time in ms
+ * options.policy       - merge policy (default: merge-policy.json)
+ */
+function scoreEntry(passport, destination, entry, options = {}) {
+  if (entry.requirement === 'unknown') return 0;
+  if (REGISTRY_STATUSES.includes(entry.requirement)) return 1;
+
+  const now = options.now ?? Date.now();
+  const { reliability } = sourcePolicy(options.policy || DEFAULT_POLICY, entry.source);
+  const dispute = options.datasetValue === undefined
+    ? null
+    : disputeKind(passport, destination, entry, options.datasetValue);
+
+  const score = reliability *
+    ageFactor(entry.lastChecked, now) *
+    (isDurationAssumed(entry) ? ASSUMED_DURATION_FACTOR : 1) *
+    (dispute ? AGREEMENT_FACTORS[dispute] : 1);
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Set `confidence` on every entry of a rules object.
+ * dataset is a "PP->DD" => passport-index value map (may be empty).
+ */
+function scoreRules(data, dataset, options = {}) {
+  const now = options.now ?? Date.now();
+  for (const [passport, destinations] of Object.entries(data.rules)) {
+    for (const [destination, entry] of Object.entries(destinations)) {
+      entry.confidence = scoreEntry(passport, destination, entry, {
+        ...options,
+        now,
+        datasetValue: dataset.get(`${passport}->${destination}`),
+      });
+    }
+  }
+  return data;
+}
+
+function isLowConfidence(entry) {
+  return typeof entry?.confidence === 'number' && entry.confidence < LOW_CONFIDENCE;
+}
+
+module.exports = {
+  LOW_CONFIDENCE,
+  isLowConfidence,
+  scoreEntry,
+  scoreRules,
+};
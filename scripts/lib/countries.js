@@ -0,0 +1,173 @@
+/**
+ * Country Registry - the one list of countries every command works from
+ *
+ * scripts/lib/countries.json holds, per country: ISO2 / ISO3 / numeric
+ * codes, English name, aliases, UN M49 region and subregion, and status
+ * (sovereign, territory, partially-recognised). It is checked against
+ * schemas/countries.schema.json on load, and `borderwise validate` checks
+ * it against the passport-index datasets and visa-rules.json.
+ *
+ * resolveCountry() matches names case-, accent- and punctuation-insensitively
+ * ("Côte d'Ivoire", "cote divoire" and "Ivory Coast" are all CI) and also
+ * accepts a known ISO2 code. Unknown names return null - callers decide
+ * whether that is fatal.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { assertValid } = require('./schema');
+
+const REGISTRY_PATH = path.join(__dirname, 'countries.json');
+
+const registry = JSON.parse(fs.readFileSync(REGISTRY_PATH, 'utf8'));
+assertValid('countries', registry);
+
+const COUNTRIES = registry.countries;
+
+// Every ISO2 code, alphabetical
+const COUNTRY_CODES = COUNTRIES.map(country => country.iso2).sort();
+
+// Passports app users hold most. CORE is what the weekly refresh covers;
+// PRIORITY (CORE first) is refreshed / loaded ahead of everything else.
+const CORE_PASSPORTS = ['GB', 'US', 'NG', 'GH', 'IN', 'ZA', 'AU', 'CA', 'DE', 'FR'];
+const PRIORITY_PASSPORTS = [
+  ...CORE_PASSPORTS,
+  'NZ', 'IE', 'KE', 'JM', 'TT',        // English-speaking / diaspora
+  'PK', 'BD', 'LK', 'NP',              // South Asian
+  'PH', 'VN', 'TH', 'MY', 'SG', 'ID',  // Southeast Asian
+  'IT', 'ES', 'NL', 'PT',              // European
+  'BR', 'MX', 'CO', 'AR', 'CL', 'PE',  // Latin American
+  'CN', 'JP', 'KR', 'TW', 'HK',        // East Asian
+  'AE', 'SA', 'QA', 'KW', 'BH',        // Gulf states
+  'EG', 'MA', 'TN', 'DZ',              // North African
+  'SL', 'ZM', 'UG', 'CM', 'SN', 'CI', 'TZ', 'ET', // Sub-Saharan diaspora
+  'TR', 'IL', 'RU', 'UA', 'PL',        // Other significant
+];
+
+// Free movement areas: citizens of one member may enter (and mostly live in)
+// the others without a visa. maxStayDays is null when the stay is unlimited.
+const FREE_MOVEMENT_AREAS = {
+  'EU/EEA': {
+    maxStayDays: null,
+    members: [
+      'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+      'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE',
+      'IS', 'LI', 'NO', 'CH',
+    ],
+  },
+  'Common Travel Area': { maxStayDays: null, members: ['GB', 'IE'] },
+  'Trans-Tasman': { maxStayDays: null, members: ['AU', 'NZ'] },
+  'GCC': { maxStayDays: null, members: ['AE', 'BH', 'KW', 'OM', 'QA', 'SA'] },
+  'ECOWAS': { maxStayDays: 90, members: ['BJ', 'CV', 'CI', 'GM', 'GH', 'GN', 'GW', 'LR', 'NG', 'SN', 'SL', 'TG'] },
+};
+
+/**
+ * Lookup key: lower-case, no accents, "&" -> "and", "St." -> "saint",
+ * punctuation dropped, whitespace collapsed
+ */
+function nameKey(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/\bst\b\.?/g, 'saint')
+    .replace(/['\u2019.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+const BY_CODE = new Map(COUNTRIES.map(country => [country.iso2, country]));
+
+const BY_NAME = new Map();
+for (const country of COUNTRIES) {
+  for (const name of [country.name, ...country.aliases]) {
+    BY_NAME.set(nameKey(name), country.iso2);
+  }
+}
+
+/**
+ * Registry entry for an ISO2 code, or null
+ */
+function getCountry(code) {
+  return BY_CODE.get(String(code).toUpperCase()) || null;
+}
+
+/**
+ * ISO2 code for a country name or code, or null if unknown
+ */
+function resolveCountry(value) {
+  const trimmed = String(value).trim();
+  if (/^[A-Za-z]{2}$/.test(trimmed) && BY_CODE.has(trimmed.toUpperCase())) {
+    return trimmed.toUpperCase();
+  }
+  return BY_NAME.get(nameKey(trimmed)) || null;
+}
+
+/**
+ * Free movement area shared by a passport and a destination, as
+ * { name, maxStayDays }, or null
+ */
+function freeMovementArea(passport, destination) {
+  if (passport === destination) return null;
+  for (const [name, area] of Object.entries(FREE_MOVEMENT_AREAS)) {
+    if (area.members.includes(passport) && area.members.includes(destination)) {
+      return { name, maxStayDays: area.maxStayDays };
+    }
+  }
+  return null;
+}
+
+/**
+ * Problems inside the registry itself: duplicate codes, and names or
+ * aliases claimed by two countries. Returns an array of messages.
+ */
+function findRegistryConflicts() {
+  const problems = [];
+  for (const field of ['iso2', 'iso3', 'numeric']) {
+    const seen = new Map();
+    for (const country of COUNTRIES) {
+      const value = country[field];
+      if (value === null) continue;
+      if (seen.has(value)) {
+        problems.push(`${field} "${value}" is used by both ${seen.get(value)} and ${country.iso2}`);
+      }
+      seen.set(value, country.iso2);
+    }
+  }
+
+  const names = new Map();
+  for (const country of COUNTRIES) {
+    for (const name of [country.name, ...country.aliases]) {
+      const key = nameKey(name);
+      const owner = names.get(key);
+      if (owner && owner !== country.iso2) {
+        problems.push(`name "${name}" matches both ${owner} and ${country.iso2}`);
+      }
+      names.set(key, country.iso2);
+    }
+  }
+  for (const code of [...CORE_PASSPORTS, ...PRIORITY_PASSPORTS]) {
+    if (!BY_CODE.has(code)) problems.push(`priority passport ${code} is not in the registry`);
+  }
+  for (const [name, area] of Object.entries(FREE_MOVEMENT_AREAS)) {
+    for (const code of area.members) {
+      if (!BY_CODE.has(code)) problems.push(`${name} member ${code} is not in the registry`);
+    }
+  }
+  return problems;
+}
+
+module.exports = {
+  COUNTRIES,
+  COUNTRY_CODES,
+  CORE_PASSPORTS,
+  FREE_MOVEMENT_AREAS,
+  PRIORITY_PASSPORTS,
+  REGISTRY_PATH,
+  findRegistryConflicts,
+  freeMovementArea,
+  getCountry,
+  nameKey,
+  resolveCountry,
+};
@@ -0,0 +1,166 @@
+/**
+ * CSV Reader (RFC 4180)
+ *
+ * Shared by everything that reads the passport-index dataset. Handles
+ * quoted fields ("Korea, South"), doubled quotes, CRLF / LF / CR line
+ * endings, line breaks inside quotes and a leading BOM.
+ *
+ * readCsv() also checks the header and the field count of every row, and
+ * throws a CsvError listing every problem with the line it starts on - a
+ * malformed dataset fails the import instead of corrupting the rules.
+ * Fields are returned exactly as written (no trimming).
+ */
+
+const fs = require('fs');
+
+class CsvError extends Error {
+  constructor(source, errors) {
+    const preview = errors.slice(0, 5).map(e => `  line ${e.line}: ${e.message}`).join('\n');
+    const more = errors.length > 5 ? `\n  ... and ${errors.length - 5} more` : '';
+    super(`${source} is not valid CSV (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${preview}${more}`);
+    this.name = 'CsvError';
+    // Non-enumerable so a crash report prints the summary, not every error
+    Object.defineProperty(this, 'errors', { value: errors });
+  }
+}
+
+/**
+ * Split CSV text into records. Never throws: returns { records, errors }
+ * where each record is { line, fields } and each error { line, message }.
+ * Blank lines are skipped.
+ */
+function parseCsv(text) {
+  const records = [];
+  const errors = [];
+  if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+
+  let fields = [];
+  let field = '';
+  let line = 1;            // physical line we are on
+  let recordLine = 1;      // line the current record started on
+  let inQuotes = false;
+  let afterQuote = false;  // the current field's closing quote has been seen
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+    afterQuote = false;
+  };
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+        } else {
+          inQuotes = false;
+          afterQuote = true;
+          i++;
+        }
+        continue;
+      }
+      if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+      field += ch;
+      i++;
+      continue;
+    }
+
+    if (ch === ',') {
+      endField();
+      i++;
+    } else if (ch === '\r' || ch === '\n') {
+      endRecord();
+      i += ch === '\r' && text[i + 1] === '\n' ? 2 : 1;
+      line++;
+      recordLine = line;
+    } else if (ch === '"' && field === '' && !afterQuote) {
+      inQuotes = true;
+      i++;
+    } else {
+      if (ch === '"') {
+        errors.push({ line, message: 'quote inside an unquoted field' });
+      } else if (afterQuote) {
+        errors.push({ line, message: 'text after a closing quote' });
+        afterQuote = false;
+      }
+      field += ch;
+      i++;
+    }
+  }
+
+  if (inQuotes) {
+    errors.push({ line: recordLine, message: 'unterminated quoted field' });
+  }
+  if (field !== '' || fields.length > 0 || afterQuote) {
+    endRecord();
+  }
+
+  return { records, errors };
+}
+
+/**
+ * Parse CSV text with a header row
+ *
+ * options.columns - expected header (compared trimmed, case-insensitive)
+ * options.source  - name used in error messages (usually the file path)
+ *
+ * Returns { header, rows } with rows as { line, fields }. Throws CsvError if
+ * the header is wrong or any row is malformed or has the wrong field count.
+ */
+function readCsv(text, { columns = null, source = 'CSV' } = {}) {
+  const { records, errors } = parseCsv(text);
+
+  if (records.length === 0) {
+    throw new CsvError(source, [{ line: 1, message: 'no header row' }]);
+  }
+
+  const [headerRecord, ...rows] = records;
+  const header = headerRecord.fields.map(name => name.trim());
+
+  if (columns) {
+    const matches = header.length === columns.length &&
+      columns.every((name, i) => name.toLowerCase() === header[i].toLowerCase());
+    if (!matches) {
+      const found = header.length > columns.length + 2
+        ? `${header.length} columns ("${header.slice(0, columns.length).join(',')},...")`
+        : `"${header.join(',')}"`;
+      errors.push({ line: headerRecord.line, message: `expected header "${columns.join(',')}", found ${found}` });
+    }
+  }
+
+  for (const row of rows) {
+    if (row.fields.length !== header.length) {
+      errors.push({ line: row.line, message: `expected ${header.length} fields, found ${row.fields.length}` });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new CsvError(source, errors.sort((a, b) => a.line - b.line));
+  }
+  return { header, rows };
+}
+
+/**
+ * readCsv() for a file
+ */
+function readCsvFile(filePath, options = {}) {
+  return readCsv(fs.readFileSync(filePath, 'utf8'), { source: filePath, ...options });
+}
+
+module.exports = {
+  CsvError,
+  parseCsv,
+  readCsv,
+  readCsvFile,
+};
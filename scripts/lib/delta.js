@@ -0,0 +1,107 @@
+/**
+ * Delta Patches for App Sync
+ *
+ * A delta turns visa-rules.json at one dataVersion into the next one:
+ *
+ *   {
+ *     "fromVersion": 1769957408616,
+ *     "toVersion":   1769957499999,
+ *     "meta":   { version, lastUpdated, source, notes },  // new header fields
+ *     "set":    { "GB": { "TH": { ...full entry... } } }, // added or changed
+ *     "remove": ["GB->XX"]                                 // deleted pairs
+ *   }
+ *
+ * Entries are compared as whole JSON values, so applying a delta to the
+ * old file gives exactly the new file. Clients chain deltas from their
+ * dataVersion and fall back to the full file when no chain exists.
+ */
+
+const META_FIELDS = ['version', 'lastUpdated', 'source', 'notes'];
+
+// How many deltas version.json advertises; older ones are deleted
+const MAX_DELTAS = 30;
+
+/**
+ * File name (relative to data/) for a delta
+ */
+function deltaFileName(fromVersion, toVersion) {
+  return `deltas/${fromVersion}-${toVersion}.json`;
+}
+
+/**
+ * Build the delta between two rules files
+ */
+function buildDelta(before, after) {
+  const oldRules = before.rules || {};
+  const newRules = after.rules || {};
+  const set = {};
+  const remove = [];
+  let changes = 0;
+
+  for (const [passport, destinations] of Object.entries(newRules)) {
+    const oldDests = oldRules[passport] || {};
+    for (const [destination, entry] of Object.entries(destinations)) {
+      if (JSON.stringify(oldDests[destination]) !== JSON.stringify(entry)) {
+        if (!set[passport]) set[passport] = {};
+        set[passport][destination] = entry;
+        changes++;
+      }
+    }
+  }
+
+  for (const [passport, destinations] of Object.entries(oldRules)) {
+    for (const destination of Object.keys(destinations)) {
+      if (!newRules[passport] || !(destination in newRules[passport])) {
+        remove.push(`${passport}->${destination}`);
+        changes++;
+      }
+    }
+  }
+
+  const meta = {};
+  for (const field of META_FIELDS) {
+    if (after[field] !== undefined) meta[field] = after[field];
+  }
+
+  return {
+    fromVersion: before.dataVersion,
+    toVersion: after.dataVersion,
+    changes,
+    meta,
+    set,
+    remove,
+  };
+}
+
+/**
+ * Apply a delta to a rules object in place (reference implementation for
+ * clients). Throws if the delta does not start at data's dataVersion.
+ */
+function applyDelta(data, delta) {
+  if (data.dataVersion !== delta.fromVersion) {
+    throw new Error(`Delta starts at ${delta.fromVersion}, data is at ${data.dataVersion}`);
+  }
+
+  data.rules = data.rules || {};
+  for (const [passport, destinations] of Object.entries(delta.set)) {
+    if (!data.rules[passport]) data.rules[passport] = {};
+    Object.assign(data.rules[passport], destinations);
+  }
+  for (const pair of delta.remove) {
+    const [passport, destination] = pair.split('->');
+    if (data.rules[passport]) {
+      delete data.rules[passport][destination];
+    }
+  }
+
+  Object.assign(data, delta.meta);
+  data.dataVersion = delta.toVersion;
+  return data;
+}
+
+module.exports = {
+  MAX_DELTAS,
+  applyDelta,
+  buildDelta,
+  deltaFileName,
+};
@@ -0,0 +1,194 @@
+/**
+ * Dataset Diff - compare two visa-rules.json snapshots
+ *
+ * Reports, grouped by passport:
+ * - requirement changes   (visa-required -> visa-free)
+ * - duration changes      (30 days -> 90 days per 180)
+ * - source changes        (passport-index -> rapidapi)
+ * - added / removed pairs
+ *
+ * A pair whose requirement changed is not also listed under duration or
+ * source changes - the requirement change entry carries both values.
+ * Durations are compared as parsed stays (days, window, basis), so
+ * "90 days" and 90 in an older snapshot are the same. Durations that are
+ * defaults rather than sourced values are marked "unconfirmed" (see
+ * provenance.js).
+ */
+
+const { formatStay, parseDuration, sameStay } = require('./durations');
+const { isDurationAssumed } = require('./provenance');
+
+const CHANGE_TYPES = ['requirement', 'duration', 'source', 'added', 'removed'];
+
+function emptyGroup() {
+  return { requirement: [], duration: [], source: [], added: [], removed: [] };
+}
+
+/**
+ * Parsed stay of an entry; snapshots from before `stay` existed only have
+ * a number or text duration
+ */
+function stayOf(entry) {
+  return entry.stay !== undefined ? entry.stay : parseDuration(entry.duration ?? null);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Diff two rules files. Either side may be null (treated as empty).
+ */
+function diffRules(before, after) {
+  const oldRules = before?.rules || {};
+  const newRules = after?.rules || {};
+  const passports = {};
+  const summary = { requirement: 0, duration: 0, source: 0, added: 0, removed: 0, unchanged: 0 };
+
+  const record = (passport, type, change) => {
+    if (!passports[passport]) passports[passport] = emptyGroup();
+    passports[passport][type].push(change);
+    summary[type]++;
+  };
+
+  const allPassports = new Set([...Object.keys(oldRules), ...Object.keys(newRules)]);
+
+  for (const passport of [...allPassports].sort()) {
+    const oldDests = oldRules[passport] || {};
+    const newDests = newRules[passport] || {};
+    const allDests = new Set([...Object.keys(oldDests), ...Object.keys(newDests)]);
+
+    for (const destination of [...allDests].sort()) {
+      const was = oldDests[destination];
+      const now = newDests[destination];
+
+      if (!was) {
+        record(passport, 'added', { destination, to: now });
+      } else if (!now) {
+        record(passport, 'removed', { destination, from: was });
+      } else if (was.requirement !== now.requirement) {
+        record(passport, 'requirement', { destination, from: was, to: now });
+      } else if (!sameStay(stayOf(was), stayOf(now))) {
+        record(passport, 'duration', { destination, from: was, to: now });
+      } else if (!sameValue(was.source, now.source)) {
+        record(passport, 'source', { destination, from: was, to: now });
+      } else {
+        summary.unchanged++;
+      }
+    }
+  }
+
+  return {
+    from: {
+      dataVersion: before?.dataVersion ?? null,
+      lastUpdated: before?.lastUpdated ?? null,
+    },
+    to: {
+      dataVersion: after?.dataVersion ?? null,
+      lastUpdated: after?.lastUpdated ?? null,
+    },
+    summary,
+    passports,
+  };
+}
+
+/**
+ * Whether a diff contains any change at all
+ */
+function hasChanges(diff) {
+  return CHANGE_TYPES.some(type => diff.summary[type] > 0);
+}
+
+/**
+ * Stay label for a changelog line: "90 days", "90 days, unconfirmed", or null
+ */
+function formatEntryStay(entry) {
+  const stay = formatStay(stayOf(entry));
+  if (stay === null) return null;
+  return isDurationAssumed(entry) ? `${stay}, unconfirmed` : stay;
+}
+
+function formatEntry(entry) {
+  if (!entry) return '-';
+  const stay = formatEntryStay(entry);
+  const duration = stay === null ? '' : ` (${stay})`;
+  return `${entry.requirement}${duration}`;
+}
+
+/**
+ * Render a diff as a human-readable Markdown changelog
+ */
+function renderMarkdown(diff) {
+  const lines = [];
+  const { summary } = diff;
+
+  lines.push('# Visa Data Changelog');
+  lines.push('');
+  lines.push(`From dataVersion \`${diff.from.dataVersion ?? 'none'}\` (${diff.from.lastUpdated || 'n/a'})`);
+  lines.push(`to dataVersion \`${diff.to.dataVersion ?? 'none'}\` (${diff.to.lastUpdated || 'n/a'})`);
+  lines.push('');
+  lines.push('| Change | Pairs |');
+  lines.push('|---|---|');
+  lines.push(`| Requirement changed | ${summary.requirement} |`);
+  lines.push(`| Duration changed | ${summary.duration} |`);
+  lines.push(`| Source changed | ${summary.source} |`);
+  lines.push(`| Added | ${summary.added} |`);
+  lines.push(`| Removed | ${summary.removed} |`);
+  lines.push(`| Unchanged | ${summary.unchanged} |`);
+
+  if (!hasChanges(diff)) {
+    lines.push('');
+    lines.push('No changes.');
+    return lines.join('\n') + '\n';
+  }
+
+  for (const [passport, group] of Object.entries(diff.passports)) {
+    lines.push('');
+    lines.push(`## ${passport}`);
+
+    if (group.requirement.length) {
+      lines.push('');
+      lines.push('Requirement changes:');
+      for (const c of group.requirement) {
+        lines.push(`- ${passport}->${c.destination}: ${formatEntry(c.from)} -> ${formatEntry(c.to)}`);
+      }
+    }
+    if (group.duration.length) {
+      lines.push('');
+      lines.push('Duration changes:');
+      for (const c of group.duration) {
+        lines.push(`- ${passport}->${c.destination}: ${formatEntryStay(c.from) ?? '-'} -> ${formatEntryStay(c.to) ?? '-'} (${c.to.requirement})`);
+      }
+    }
+    if (group.source.length) {
+      lines.push('');
+      lines.push('Source changes:');
+      for (const c of group.source) {
+        lines.push(`- ${passport}->${c.destination}: ${c.from.source} -> ${c.to.source}`);
+      }
+    }
+    if (group.added.length) {
+      lines.push('');
+      lines.push('Added:');
+      for (const c of group.added) {
+        lines.push(`- ${passport}->${c.destination}: ${formatEntry(c.to)}`);
+      }
+    }
+    if (group.removed.length) {
+      lines.push('');
+      lines.push('Removed:');
+      for (const c of group.removed) {
+        lines.push(`- ${passport}->${c.destination}: was ${formatEntry(c.from)}`);
+      }
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  diffRules,
+  hasChanges,
+  renderMarkdown,
+};
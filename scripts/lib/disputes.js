@@ -0,0 +1,121 @@
+/**
+ * Cross-Source Disputes - where visa-rules.json and passport-index disagree
+ *
+ * visa-rules.json holds API answers; data/passport-index-*.csv is an
+ * independent source. A pair is disputed when its entry came from anywhere
+ * but the dataset and:
+ *
+ *   requirement - the two requirements differ (after settling home country
+ *                 and free movement the same way on both sides)
+ *   duration    - the requirements agree but the stays differ, counting
+ *                 only stays the dataset actually gives (a number) - its
+ *                 assumed defaults are not a claim (see provenance.js)
+ *
+ * Disputes are ranked by passport priority (PRIORITY_PASSPORTS, then the
+ * rest alphabetically), requirement disputes before duration ones.
+ */
+
+const { PRIORITY_PASSPORTS } = require('./countries');
+const { classifyDatasetValue } = require('./requirements');
+const { readPassportIndexCsv } = require('./passport-index-csv');
+
+// Entries from the dataset itself can't disagree with it
+const DATASET_SOURCE = 'passport-index';
+
+const KINDS = ['requirement', 'duration'];
+
+function passportRank(passport) {
+  const index = PRIORITY_PASSPORTS.indexOf(passport);
+  return index === -1 ? PRIORITY_PASSPORTS.length : index;
+}
+
+function compareDisputes(a, b) {
+  return passportRank(a.passport) - passportRank(b.passport) ||
+    a.passport.localeCompare(b.passport) ||
+    KINDS.indexOf(a.kind) - KINDS.indexOf(b.kind) ||
+    a.destination.localeCompare(b.destination);
+}
+
+/**
+ * How an entry disagrees with the dataset's value for its pair:
+ * 'requirement', 'duration' or null (agrees, or nothing to compare)
+ */
+function disputeKind(passport, destination, entry, value) {
+  if (!entry || entry.source === DATASET_SOURCE || entry.requirement === 'unknown') return null;
+
+  const dataset = classifyDatasetValue(passport, destination, value);
+  if (!dataset) return null;
+
+  const days = entry.stay?.days ?? entry.duration ?? null;
+  if (dataset.requirement !== entry.requirement) return 'requirement';
+  if (dataset.bases.duration === 'observed' && dataset.duration !== null &&
+      days !== null && days !== dataset.duration) {
+    return 'duration';
+  }
+  return null;
+}
+
+/**
+ * Compare a rules object with dataset rows ({ passport, destination, value },
+ * see passport-index-csv.js). Returns the ranked disputes:
+ *
+ *   { passport, destination, kind, source, lastChecked,
+ *     rules: { requirement, days }, dataset: { requirement, days, raw } }
+ *
+ * options.passports - only these passports (default: all)
+ */
+function findDisputes(data, rows, options = {}) {
+  const disputes = [];
+
+  for (const { passport, destination, value } of rows) {
+    if (options.passports && !options.passports.includes(passport)) continue;
+
+    const entry = data.rules[passport]?.[destination];
+    const kind = disputeKind(passport, destination, entry, value);
+    if (!kind) continue;
+
+    const dataset = classifyDatasetValue(passport, destination, value);
+    disputes.push({
+      passport,
+      destination,
+      kind,
+      source: entry.source,
+      lastChecked: entry.lastChecked ?? null,
+      rules: { requirement: entry.requirement, days: entry.stay?.days ?? entry.duration ?? null },
+      dataset: {
+        requirement: dataset.requirement,
+        days: dataset.bases.duration === 'assumed' ? null : dataset.duration,
+        raw: value,
+      },
+    });
+  }
+
+  return disputes.sort(compareDisputes);
+}
+
+/**
+ * Disputes between the rules and a dataset CSV file (any layout)
+ */
+function findDisputesInFile(data, csvPath, options) {
+  return findDisputes(data, readPassportIndexCsv(csvPath).rows, options);
+}
+
+/**
+ * Move disputed pairs to the front of a refresh queue ({ passport,
+ * destination } items), keeping the queue's order within each part
+ */
+function disputesFirst(queue, disputes) {
+  const disputed = new Set(disputes.map(d => `${d.passport}->${d.destination}`));
+  const isDisputed = item => disputed.has(`${item.passport}->${item.destination}`);
+  return [...queue.filter(isDisputed), ...queue.filter(item => !isDisputed(item))];
+}
+
+module.exports = {
+  DATASET_SOURCE,
+  KINDS,
+  disputeKind,
+  disputesFirst,
+  findDisputes,
+  findDisputesInFile,
+  passportRank,
+};
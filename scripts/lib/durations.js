@@ -0,0 +1,132 @@
+/**
+ * Stay Durations - "90 days", "3 months", "90 days within 180", 90
+ *
+ * Providers return stay lengths as numbers or free text. parseDuration()
+ * turns either into a stay:
+ *
+ *   { days, windowDays, basis, text }
+ *
+ *   days       - longest stay in days (null when the text gives no length)
+ *   windowDays - rolling period the days count against ("within 180") or null
+ *   basis      - 'per-visit' (each entry) or 'per-period' (total in the window)
+ *   text       - the original text; null when a plain number was given
+ *
+ * Months count as 30 days, years as 365 and weeks as 7. Rule entries keep
+ * `days` as `duration` (an integer - what the app reads) and the whole
+ * stay as `stay`, so changes are detected on numbers, not strings.
+ */
+
+const UNIT_DAYS = {
+  d: 1, day: 1, days: 1,
+  w: 7, wk: 7, wks: 7, week: 7, weeks: 7,
+  m: 30, mo: 30, month: 30, months: 30,
+  y: 365, yr: 365, yrs: 365, year: 365, years: 365,
+};
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+};
+
+// "<n> <unit>" - the unit is optional here, but only a window ("within 180")
+// or a value that is nothing but the number ("30") may leave it out
+const QUANTITY = /\b(\d+(?:\.\d+)?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\s*-?\s*(days?|d|weeks?|wks?|wk|w|months?|mo|m|years?|yrs?|yr|y)?\b/g;
+
+// Words that put the next quantity in the window ("within 180", "in a 6 month period")
+const WINDOW_WORDS = /\b(within|in|per|every|out of|during|over)\s+(an?\s+|any\s+|the\s+)?(calendar\s+|rolling\s+)?$/;
+
+// A window with no number ("per year", "within any month")
+const BARE_WINDOW = String.raw`(?:(?:within|in|during|over|out of)\s+)?(?:per|an?|any|every|each|one)\s+(?:calendar\s+|rolling\s+)?(year|month|week)\b`;
+// ...right after the stay ("90 days per year", not "90 days (max 180 per year)")
+const BARE_WINDOW_AFTER_STAY = new RegExp(`^[\\s,]*${BARE_WINDOW}`);
+const BARE_WINDOW_ANYWHERE = new RegExp(`\\b${BARE_WINDOW}`);
+
+function toDays(amount, unit) {
+  const value = NUMBER_WORDS[amount] ?? parseFloat(amount);
+  return Math.round(value * (UNIT_DAYS[unit || 'days'] || 1));
+}
+
+/**
+ * Parse a provider / dataset duration into a stay (see above), or null
+ * when there is none (null, "", 0 or a negative number)
+ */
+function parseDuration(value) {
+  if (value === null || value === undefined) return null;
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value <= 0) return null;
+    return { days: Math.round(value), windowDays: null, basis: 'per-visit', text: null };
+  }
+
+  const text = String(value).trim();
+  if (text === '') return null;
+  const lower = text.toLowerCase();
+
+  // Schengen shorthand: "90/180"
+  const ratio = lower.match(/^(\d+)\s*\/\s*(\d+)(\s*days?)?$/);
+  if (ratio) {
+    return { days: parseInt(ratio[1], 10), windowDays: parseInt(ratio[2], 10), basis: 'per-period', text };
+  }
+
+  // Dataset style: a number of days
+  if (/^\d+(\.\d+)?$/.test(lower)) {
+    const days = Math.round(parseFloat(lower));
+    return { days: days > 0 ? days : null, windowDays: null, basis: 'per-visit', text };
+  }
+
+  // Inside a sentence a number needs a unit to be a stay: "one entry, up to
+  // 30 days" is 30 days, not 1
+  let days = null;
+  let daysEnd = null;
+  let windowDays = null;
+  for (const match of lower.matchAll(QUANTITY)) {
+    const inWindow = WINDOW_WORDS.test(lower.slice(0, match.index));
+    if (inWindow && windowDays === null) {
+      windowDays = toDays(match[1], match[2]);
+    } else if (!inWindow && days === null && match[2]) {
+      days = toDays(match[1], match[2]);
+      daysEnd = match.index + match[0].length;
+    }
+  }
+
+  // "per year", "in any month" - a window with no number. Only right after
+  // the stay: in "90 days (max 180 per year)" the year is the cap's window.
+  if (windowDays === null) {
+    const bareWindow = daysEnd === null
+      ? lower.match(BARE_WINDOW_ANYWHERE)
+      : lower.slice(daysEnd).match(BARE_WINDOW_AFTER_STAY);
+    if (bareWindow) windowDays = UNIT_DAYS[bareWindow[1]];
+  }
+
+  return {
+    days: days !== null && days > 0 ? days : null,
+    windowDays,
+    basis: windowDays !== null ? 'per-period' : 'per-visit',
+    text,
+  };
+}
+
+/**
+ * Same stay for change detection: days, window and basis (not the text)
+ */
+function sameStay(a, b) {
+  return (a?.days ?? null) === (b?.days ?? null) &&
+    (a?.windowDays ?? null) === (b?.windowDays ?? null) &&
+    (a?.basis ?? null) === (b?.basis ?? null);
+}
+
+/**
+ * Short label for logs and changelogs: "90 days", "90 days per 180"
+ */
+function formatStay(stay) {
+  if (!stay) return null;
+  if (stay.days === null) return stay.text;
+  const window = stay.windowDays !== null ? ` per ${stay.windowDays}` : '';
+  return `${stay.days} days${window}`;
+}
+
+module.exports = {
+  formatStay,
+  parseDuration,
+  sameStay,
+};
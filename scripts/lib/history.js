@@ -0,0 +1,112 @@
+/**
+ * Pair History - append-only record of every value a pair has had
+ *
+ * saveData() compares the published visa-rules.json with what it is about to
+ * write (see diff.js) and appends one record per changed pair to
+ * data/history/<PASSPORT>.jsonl:
+ *
+ *   {"at":"2026-...","passport":"GB","destination":"TH","change":"requirement",
+ *    "from":{requirement, duration, stay, source, lastChecked},"to":{...}}
+ *
+ *   change - requirement | duration | source | added | removed (from / to
+ *            is null for added / removed)
+ *
+ * Records are never rewritten. A save that dies after appending but before
+ * the rules are written appends the same change again on the next save;
+ * timeline() drops such repeats.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CHANGE_TYPES } = require('./diff');
+const { appendLineSync } = require('./atomic-write');
+
+function historyFileName(passport) {
+  return `history/${passport}.jsonl`;
+}
+
+/**
+ * The fields of an entry the history keeps
+ */
+function snapshot(entry) {
+  if (!entry) return null;
+  return {
+    requirement: entry.requirement,
+    duration: entry.duration ?? null,
+    stay: entry.stay ?? null,
+    source: entry.source,
+    lastChecked: entry.lastChecked ?? null,
+  };
+}
+
+/**
+ * History records for every change in a diff (see diffRules), stamped `at`
+ */
+function buildHistoryRecords(diff, at) {
+  const records = [];
+  for (const [passport, group] of Object.entries(diff.passports)) {
+    for (const change of CHANGE_TYPES) {
+      for (const { destination, from, to } of group[change]) {
+        records.push({ at, passport, destination, change, from: snapshot(from), to: snapshot(to) });
+      }
+    }
+  }
+  return records;
+}
+
+/**
+ * Append records to their passports' history files (one write per passport)
+ */
+function appendHistory(dataDir, records) {
+  const byPassport = new Map();
+  for (const record of records) {
+    if (!byPassport.has(record.passport)) byPassport.set(record.passport, []);
+    byPassport.get(record.passport).push(JSON.stringify(record));
+  }
+  if (byPassport.size === 0) return;
+
+  fs.mkdirSync(path.join(dataDir, 'history'), { recursive: true });
+  for (const [passport, lines] of byPassport) {
+    appendLineSync(path.join(dataDir, historyFileName(passport)), lines.join('\n'));
+  }
+}
+
+/**
+ * Every record for a passport, oldest first. A truncated last line (killed
+ * mid-append) is skipped.
+ */
+function readHistory(dataDir, passport) {
+  const filePath = path.join(dataDir, historyFileName(passport));
+  if (!fs.existsSync(filePath)) return [];
+
+  const records = [];
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // Partial line from a kill mid-append
+    }
+  }
+  return records;
+}
+
+/**
+ * One pair's records, oldest first, without repeats of the same change
+ */
+function timeline(records, destination) {
+  const pairRecords = records.filter(record => record.destination === destination);
+  return pairRecords.filter((record, i) => {
+    const previous = pairRecords[i - 1];
+    return !previous ||
+      JSON.stringify([previous.change, previous.from, previous.to]) !== JSON.stringify([record.change, record.from, record.to]);
+  });
+}
+
+module.exports = {
+  appendHistory,
+  buildHistoryRecords,
+  historyFileName,
+  readHistory,
+  timeline,
+};
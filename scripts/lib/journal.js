@@ -0,0 +1,78 @@
+/**
+ * Write-Ahead Journal for fetched results
+ *
+ * Long runs only rewrite visa-rules.json every 50-100 requests. Every result
+ * is appended to data/journal.jsonl the moment it arrives:
+ *
+ *   {"passport":"GB","destination":"TH","entry":{...},"at":"2026-..."}
+ *
+ * loadData() replays the journal on top of the rules file, and a successful
+ * saveData() compacts it (the rules file now holds every entry, so the
+ * journal is emptied). A killed run therefore loses at most the results
+ * that were in flight - one per pair the scheduler runs at once, up to 10 on
+ * the ultra tier (see scheduler.js). A truncated last line is ignored on
+ * replay and cut off by the next append (see atomic-write.js).
+ */
+
+const fs = require('fs');
+const { appendLineSync } = require('./atomic-write');
+
+/**
+ * Append one fetched result
+ */
+function appendJournal(journalPath, passport, destination, entry) {
+  appendLineSync(journalPath, JSON.stringify({
+    passport,
+    destination,
+    entry,
+    at: new Date().toISOString(),
+  }));
+}
+
+/**
+ * Read every complete record in the journal (oldest first)
+ */
+function readJournal(journalPath) {
+  if (!fs.existsSync(journalPath)) return [];
+
+  const records = [];
+  const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record.passport && record.destination && record.entry) {
+        records.push(record);
+      }
+    } catch {
+      // Partial line from a kill mid-append - that result was never acknowledged
+    }
+  }
+  return records;
+}
+
+/**
+ * Apply journal records to a rules object. Returns the replayed pairs.
+ */
+function replayJournal(journalPath, data) {
+  const records = readJournal(journalPath);
+  for (const { passport, destination, entry } of records) {
+    if (!data.rules[passport]) data.rules[passport] = {};
+    data.rules[passport][destination] = entry;
+  }
+  return records.map(({ passport, destination }) => `${passport}->${destination}`);
+}
+
+/**
+ * Empty the journal once its records are in the rules file
+ */
+function clearJournal(journalPath) {
+  fs.rmSync(journalPath, { force: true });
+}
+
+module.exports = {
+  appendJournal,
+  clearJournal,
+  readJournal,
+  replayJournal,
+};
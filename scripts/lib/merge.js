@@ -0,0 +1,152 @@
+/**
+ * Merge Policy Engine - decides whether a new answer replaces what we have
+ *
+ * Every writer (import, the refresh commands, full-load, test-load) puts
+ * answers into the rules through mergeEntry(), so "never overwrite good data"
+ * is one set of rules instead of a check per script. Per-source settings live
+ * in scripts/lib/merge-policy.json (checked against
+ * schemas/merge-policy.schema.json on load):
+ *
+ *   precedence - higher wins over lower (API 30, legacy 20, dataset 10,
+ *                canned mock answers 5)
+ *   maxAgeDays - an answer from this source older than this stops
+ *                outranking lower-precedence sources (null: never)
+ *   fillOnly   - the source only fills missing / unknown pairs (the
+ *                passport-index dataset is a bootstrap, not a correction)
+ *   reliability - 0-1, how far its answers are trusted (confidence.js)
+ *
+ * The first rule that applies decides:
+ *
+ *   unknown answer                          -> reject  unknown-answer
+ *   no entry yet                            -> accept  new-pair
+ *   entry is unknown                        -> accept  replaces-unknown
+ *   home country / free movement (registry) -> accept  registry-status
+ *   entry is home country / free movement   -> reject  registry-status-held
+ *   fill-only source                        -> reject  fill-only-source
+ *   higher precedence                       -> accept  higher-precedence
+ *   lower precedence, entry past maxAgeDays -> accept  replaces-stale
+ *   lower precedence                        -> reject  lower-precedence
+ *   same precedence, older observation      -> reject  older-observation
+ *   same precedence                         -> accept  newer-observation
+ *
+ * Each decision carries a reason code and a one-line detail for the merge
+ * log (see store.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { assertValid } = require('./schema');
+const { REGISTRY_STATUSES } = require('./requirements');
+
+const POLICY_PATH = path.join(__dirname, 'merge-policy.json');
+
+const DEFAULT_POLICY = JSON.parse(fs.readFileSync(POLICY_PATH, 'utf8'));
+assertValid('merge-policy', DEFAULT_POLICY);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sourcePolicy(policy, source) {
+  return policy.sources[source] || policy.defaultSource;
+}
+
+/**
+ * When the entry's answer was observed: lastChecked, else when its source
+ * was read (dataset imports have no lastChecked). null when unknown.
+ */
+function observedAt(entry) {
+  const at = entry.lastChecked ?? entry.provenance?.requirement?.fetchedAt ?? null;
+  return at === null ? null : new Date(at).getTime();
+}
+
+function accept(reason, detail, entry) {
+  return { accepted: true, reason, detail, entry };
+}
+
+function reject(reason, detail) {
+  return { accepted: false, reason, detail, entry: null };
+}
+
+/**
+ * Decide whether `incoming` replaces `existing` (which may be undefined).
+ * Returns { accepted, reason, detail, entry } - entry is what to store.
+ *
+ * options.policy - policy object (default: merge-policy.json)
+ * options.now    - current time in ms, for maxAgeDays
+ */
+function mergeEntry(existing, incoming, options = {}) {
+  const policy = options.policy || DEFAULT_POLICY;
+  const now = options.now ?? Date.now();
+
+  if (incoming.requirement === 'unknown') {
+    return reject('unknown-answer', `${incoming.source} returned no usable answer`);
+  }
+  if (!existing) {
+    return accept('new-pair', 'no entry yet', incoming);
+  }
+  if (existing.requirement === 'unknown') {
+    return accept('replaces-unknown', `replaces unknown from ${existing.source}`, incoming);
+  }
+
+  if (REGISTRY_STATUSES.includes(incoming.requirement) && existing.requirement !== incoming.requirement) {
+    // Follows from the pair itself - keep when it was last verified
+    return accept('registry-status', `${incoming.requirement} replaces ${existing.requirement}`, {
+      ...incoming,
+      lastChecked: incoming.lastChecked ?? existing.lastChecked,
+    });
+  }
+  if (REGISTRY_STATUSES.includes(existing.requirement) && existing.requirement !== incoming.requirement) {
+    return reject('registry-status-held', `${existing.requirement} follows from the country registry, not ${incoming.source}`);
+  }
+
+  const theirs = sourcePolicy(policy, existing.source);
+  const ours = sourcePolicy(policy, incoming.source);
+
+  if (ours.fillOnly) {
+    return reject('fill-only-source', `${incoming.source} only fills missing pairs (have ${existing.source})`);
+  }
+  if (ours.precedence > theirs.precedence) {
+    return accept('higher-precedence', `${incoming.source} (${ours.precedence}) outranks ${existing.source} (${theirs.precedence})`, incoming);
+  }
+
+  const existingAt = observedAt(existing);
+  if (ours.precedence < theirs.precedence) {
+    const ageDays = existingAt === null ? null : Math.floor((now - existingAt) / DAY_MS);
+    if (theirs.maxAgeDays !== null && ageDays !== null && ageDays > theirs.maxAgeDays) {
+      return accept('replaces-stale', `${existing.source} answer is ${ageDays} days old (max ${theirs.maxAgeDays})`, incoming);
+    }
+    return reject('lower-precedence', `${existing.source} (${theirs.precedence}) outranks ${incoming.source} (${ours.precedence})`);
+  }
+
+  const incomingAt = observedAt(incoming);
+  if (existingAt !== null && (incomingAt === null || incomingAt < existingAt)) {
+    return reject('older-observation', `${existing.source} answer is newer`);
+  }
+  return accept('newer-observation', `same precedence, newer answer from ${incoming.source}`, incoming);
+}
+
+/**
+ * Merge log record for one decision
+ */
+function auditRecord(passport, destination, existing, incoming, decision) {
+  return {
+    at: new Date().toISOString(),
+    passport,
+    destination,
+    source: incoming.source,
+    requirement: incoming.requirement,
+    accepted: decision.accepted,
+    reason: decision.reason,
+    detail: decision.detail,
+    previous: existing
+      ? { source: existing.source, requirement: existing.requirement, lastChecked: existing.lastChecked ?? null }
+      : null,
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  POLICY_PATH,
+  auditRecord,
+  mergeEntry,
+  sourcePolicy,
+};
@@ -0,0 +1,122 @@
+/**
+ * Passport Index Dataset Reader (ilyankou/passport-index-dataset)
+ *
+ * Reads every layout the dataset ships into one list of
+ * { line, passport, destination, value } rows keyed by ISO2 codes:
+ *
+ *   TIDY   - Passport,Destination,Requirement rows, with ISO2 codes
+ *            (passport-index-iso2.csv) or English names (-tidy.csv)
+ *   MATRIX - passport-index-raw.csv: one row per passport, one column per
+ *            destination, keyed by English names
+ *
+ * Names are resolved through the country registry (countries.js). A name
+ * that doesn't resolve fails the whole read with a CsvError naming it - add
+ * it to the country's aliases rather than lose its rows.
+ *
+ * Values are returned trimmed but otherwise as written: numbers are
+ * visa-free days, "-1" is the home country. datasetEntry() turns a row
+ * into the rule entry import and convert store.
+ */
+
+const { CsvError, readCsvFile } = require('./csv');
+const { resolveCountry } = require('./countries');
+const { classifyDatasetValue } = require('./requirements');
+const { parseDuration } = require('./durations');
+const { buildProvenance } = require('./provenance');
+
+const TIDY_COLUMNS = ['passport', 'destination', 'requirement'];
+
+function isTidy(header) {
+  return header.length === TIDY_COLUMNS.length &&
+    header.every((name, i) => name.toLowerCase() === TIDY_COLUMNS[i]);
+}
+
+/**
+ * Read a dataset file. Returns { layout: 'tidy' | 'matrix', rows }.
+ */
+function readPassportIndexCsv(filePath) {
+  const { header, rows: records } = readCsvFile(filePath);
+
+  if (header[0].toLowerCase() !== 'passport' || header.length < 2) {
+    throw new CsvError(filePath, [{
+      line: 1,
+      message: `expected "Passport,Destination,Requirement" or a "Passport,<destination>,..." matrix header, found "${header.slice(0, 3).join(',')}"`,
+    }]);
+  }
+
+  // Unknown names are reported once each, at the first line they appear on
+  const unknown = new Map();
+  const resolve = (name, line) => {
+    const code = resolveCountry(name);
+    if (!code) {
+      const key = name.trim();
+      if (!unknown.has(key)) unknown.set(key, { line, count: 0 });
+      unknown.get(key).count++;
+    }
+    return code;
+  };
+
+  const layout = isTidy(header) ? 'tidy' : 'matrix';
+  const rows = [];
+
+  if (layout === 'tidy') {
+    for (const { line, fields } of records) {
+      const passport = resolve(fields[0], line);
+      const destination = resolve(fields[1], line);
+      rows.push({ line, passport, destination, value: fields[2].trim() });
+    }
+  } else {
+    const destinations = header.slice(1).map(name => resolve(name, 1));
+    for (const { line, fields } of records) {
+      const passport = resolve(fields[0], line);
+      destinations.forEach((destination, i) => {
+        rows.push({ line, passport, destination, value: fields[i + 1].trim() });
+      });
+    }
+  }
+
+  if (unknown.size > 0) {
+    throw new CsvError(filePath, [...unknown].map(([name, { line, count }]) => ({
+      line,
+      message: `unknown country "${name}" (${count} occurrence${count === 1 ? '' : 's'}) - add it to its aliases in scripts/lib/countries.json`,
+    })));
+  }
+
+  return { layout, rows };
+}
+
+/**
+ * Read a dataset file into a "PP->DD" => value map
+ */
+function readPassportIndexMap(filePath) {
+  const index = new Map();
+  for (const { passport, destination, value } of readPassportIndexCsv(filePath).rows) {
+    index.set(`${passport}->${destination}`, value);
+  }
+  return index;
+}
+
+/**
+ * Rule entry for one dataset row, read at `readAt`, or null when its value
+ * is unrecognised. lastChecked stays null unless given - the dataset is not
+ * an API check.
+ */
+function datasetEntry({ passport, destination, value }, readAt, { lastChecked = null } = {}) {
+  const normalized = classifyDatasetValue(passport, destination, value);
+  if (!normalized) return null;
+
+  return {
+    requirement: normalized.requirement,
+    duration: normalized.duration,
+    stay: parseDuration(normalized.duration),
+    ...(normalized.notes && { notes: normalized.notes }),
+    lastChecked,
+    source: 'passport-index',
+    provenance: buildProvenance('passport-index', readAt, normalized.bases, {
+      requirement: value,
+      duration: /^\d+$/.test(value) ? value : null,
+    }),
+  };
+}
+
+module.exports = { datasetEntry, readPassportIndexCsv, readPassportIndexMap };
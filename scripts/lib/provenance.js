@@ -0,0 +1,67 @@
+/**
+ * Provenance - where each value of a rule entry came from
+ *
+ *   entry.provenance = {
+ *     requirement: { source, fetchedAt, basis, raw },
+ *     duration:    { source, fetchedAt, basis, raw },
+ *   }
+ *
+ *   source    - provider / dataset id ("rapidapi", "passport-index")
+ *   fetchedAt - when the value was read from the source
+ *   basis     - observed: the source said so (raw is what it said)
+ *               assumed:  a default we filled in (90 days for "visa free")
+ *               derived:  follows from the country registry (home country,
+ *                         free movement area)
+ *   raw       - the source's own text for the field, or null
+ *
+ * An assumed duration is a guess - exports and the app should show it as
+ * unconfirmed. Entries written before provenance existed have none.
+ */
+
+const BASES = ['observed', 'assumed', 'derived'];
+
+function field(source, fetchedAt, basis, raw) {
+  if (!BASES.includes(basis)) {
+    throw new Error(`Unknown provenance basis "${basis}" (expected one of: ${BASES.join(', ')})`);
+  }
+  return {
+    source,
+    fetchedAt,
+    basis,
+    raw: raw === null || raw === undefined ? null : String(raw),
+  };
+}
+
+/**
+ * Provenance for an entry read from one source at one time
+ *
+ * bases - { requirement, duration } basis of each field
+ * raw   - { requirement, duration } source text of each field
+ */
+function buildProvenance(source, fetchedAt, bases, raw = {}) {
+  return {
+    requirement: field(source, fetchedAt, bases.requirement, raw.requirement),
+    duration: field(source, fetchedAt, bases.duration, raw.duration),
+  };
+}
+
+/**
+ * Basis of one field of an entry, or null when it has no provenance
+ */
+function basisOf(entry, fieldName) {
+  return entry?.provenance?.[fieldName]?.basis ?? null;
+}
+
+/**
+ * Whether an entry's duration is a default rather than a sourced value
+ */
+function isDurationAssumed(entry) {
+  return basisOf(entry, 'duration') === 'assumed';
+}
+
+module.exports = {
+  BASES,
+  basisOf,
+  buildProvenance,
+  isDurationAssumed,
+};
@@ -0,0 +1,93 @@
+/**
+ * Data Provider Registry
+ *
+ * PROVIDER INTERFACE:
+ * - id                                  -> source id recorded on entries
+ * - name                                -> provider name (key of PROVIDERS)
+ * - archived                            -> whether 'ok' bodies go to the raw
+ *                                          archive (network answers only - a
+ *                                          local CSV or canned answer can be
+ *                                          read again at any time)
+ * - fetchPair(passport, destination)    -> Promise<ProviderResponse>
+ * - fetchBatch(pairs)        (optional) -> Promise<ProviderResponse[]>
+ *
+ * ProviderResponse.status is one of:
+ * - 'ok'               { data: { requirement, duration, notes }, raw,
+ *                        fetchedAt } - fetchedAt only when the answer is
+ *                        older than the call (a replayed recording)
+ * - 'rate-limited'     retried by the client with backoff
+ * - 'network-error'    retried by the client with backoff ({ error })
+ * - 'quota-exceeded'   stops the run
+ * - 'http-error'       skipped ({ code })
+ * - 'invalid-response' skipped
+ * - 'not-found'        skipped (provider has no answer for this pair)
+ *
+ * Each provider module also exports parseRaw(raw) -> data, the same field
+ * mapping fetchPair uses, so archived raw responses can be re-read offline
+ * (see parseRawResponse).
+ *
+ * Pick a provider with BORDERWISE_PROVIDER (rapidapi | passport-index | mock).
+ */
+
+const rapidapi = require('./rapidapi');
+const passportIndex = require('./passport-index');
+const mock = require('./mock');
+
+const DEFAULT_PROVIDER = 'rapidapi';
+
+const PROVIDERS = {
+  'rapidapi': rapidapi.createRapidApiProvider,
+  'passport-index': passportIndex.createPassportIndexProvider,
+  'mock': mock.createMockProvider,
+};
+
+const RAW_PARSERS = {
+  'rapidapi': rapidapi.parseRaw,
+  'passport-index': passportIndex.parseRaw,
+  'mock': mock.parseRaw,
+};
+
+/**
+ * Provider name from the environment (BORDERWISE_PROVIDER)
+ */
+function getProviderName() {
+  return process.env.BORDERWISE_PROVIDER || DEFAULT_PROVIDER;
+}
+
+/**
+ * Whether a provider spends paid API quota (and needs RAPIDAPI_KEY)
+ */
+function isPaidProvider(name) {
+  return name === 'rapidapi';
+}
+
+/**
+ * Provider data ({ requirement, duration, notes }) from a raw response the
+ * named provider returned - no network
+ */
+function parseRawResponse(name, raw) {
+  const parse = RAW_PARSERS[name];
+  if (!parse) {
+    throw new Error(`Unknown provider "${name}" (expected one of: ${Object.keys(RAW_PARSERS).join(', ')})`);
+  }
+  return parse(raw);
+}
+
+/**
+ * Create a provider by name
+ */
+function createProvider(name = getProviderName(), options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown provider "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  getProviderName,
+  isPaidProvider,
+  parseRawResponse,
+};
@@ -0,0 +1,60 @@
+/**
+ * Passport Index Provider - ilyankou/passport-index-dataset CSV in data/
+ *
+ * Serves pairs from the tidy ISO2 file we already ship, so a refresh can run
+ * end-to-end with no network and no quota. Values are whatever the dataset
+ * says: numbers are visa-free days, "-1" is the home country.
+ */
+
+const path = require('path');
+const { readPassportIndexMap } = require('../passport-index-csv');
+
+const DEFAULT_CSV_PATH = path.join(__dirname, '..', '..', '..', 'data', 'passport-index-iso2.csv');
+
+/**
+ * Turn one dataset value into the provider data shape
+ */
+function toData(value) {
+  if (/^\d+$/.test(value)) {
+    return { requirement: 'visa free', duration: parseInt(value, 10), notes: null };
+  }
+  return { requirement: value, duration: null, notes: null };
+}
+
+/**
+ * Provider data from an archived raw response ({ value })
+ */
+function parseRaw(raw) {
+  return toData(raw.value);
+}
+
+/**
+ * Create the passport-index adapter
+ *
+ * options.csvPath - dataset CSV, any layout (default data/passport-index-iso2.csv)
+ */
+function createPassportIndexProvider(options = {}) {
+  const csvPath = options.csvPath || DEFAULT_CSV_PATH;
+  let index = null;
+
+  function getIndex() {
+    if (!index) index = readPassportIndexMap(csvPath);
+    return index;
+  }
+
+  async function fetchPair(passport, destination) {
+    const value = getIndex().get(`${passport.toUpperCase()}->${destination.toUpperCase()}`);
+    if (value === undefined) {
+      return { status: 'not-found' };
+    }
+    return { status: 'ok', data: toData(value), raw: { value } };
+  }
+
+  async function fetchBatch(pairs) {
+    return Promise.all(pairs.map(([passport, destination]) => fetchPair(passport, destination)));
+  }
+
+  return { id: 'passport-index', name: 'passport-index', archived: false, fetchPair, fetchBatch };
+}
+
+module.exports = { createPassportIndexProvider, parseRaw };
@@ -0,0 +1,114 @@
+/**
+ * RapidAPI Provider - Travel Buddy visa-requirement endpoint
+ *
+ * Only speaks HTTP: retries, normalization and the "never unknown" rule
+ * live in the shared client so every provider gets them.
+ */
+
+const { CassetteError, RECORDED_AT_HEADER } = require('../cassette');
+
+const API_URL = 'https://visa-requirement.p.rapidapi.com/v2/visa/check';
+const API_HOST = 'visa-requirement.p.rapidapi.com';
+
+/**
+ * Check whether an API message means the monthly quota is used up. Only
+ * quota wording counts: the per-second 429 says "You have exceeded the rate
+ * limit per second for your plan", which is a rate limit to back off from.
+ */
+function isQuotaMessage(message) {
+  if (typeof message !== 'string') return false;
+  const normalized = message.toLowerCase();
+  return normalized.includes('quota') || normalized.includes('monthly');
+}
+
+/**
+ * Read the JSON body of a response without throwing on empty/invalid bodies
+ */
+async function readBody(response) {
+  try {
+    return await response.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pick our fields out of a response body. Also used to re-read archived
+ * bodies (see raw-archive.js), so fixes here apply without re-fetching.
+ */
+function parseRaw(body) {
+  return {
+    requirement: body.requirement || body.visa_requirement || null,
+    duration: body.duration || body.stay_duration || body.allowed_stay || null,
+    notes: body.notes || body.additional_info || null,
+  };
+}
+
+/**
+ * Create the RapidAPI adapter
+ *
+ * options.apiKey - RapidAPI key (required)
+ * options.source - source id recorded on entries (default 'rapidapi')
+ * options.fetch  - fetch implementation (default: global fetch; a cassette
+ *                  when recording or replaying, see cassette.js)
+ */
+function createRapidApiProvider(options = {}) {
+  const { apiKey, source = 'rapidapi', fetch = globalThis.fetch } = options;
+
+  if (!apiKey) {
+    throw new Error('rapidapi provider: apiKey is required');
+  }
+
+  async function fetchPair(passport, destination) {
+    let response;
+    try {
+      response = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'x-rapidapi-host': API_HOST,
+          'x-rapidapi-key': apiKey,
+        },
+        body: new URLSearchParams({
+          passport: passport.toUpperCase(),
+          destination: destination.toUpperCase(),
+        }).toString(),
+      });
+    } catch (error) {
+      // A replay asking for an unrecorded request is a different run, not an outage
+      if (error instanceof CassetteError) throw error;
+      return { status: 'network-error', error };
+    }
+
+    const body = await readBody(response);
+
+    // RapidAPI answers 429 both for per-second limits and for an exhausted plan,
+    // and some plans report an exhausted quota as 403 or even 200 + message
+    if (isQuotaMessage(body?.message) && (response.status === 429 || response.status === 403 || response.ok)) {
+      return { status: 'quota-exceeded' };
+    }
+    if (response.status === 429) {
+      return { status: 'rate-limited' };
+    }
+    if (!response.ok) {
+      return { status: 'http-error', code: response.status };
+    }
+    if (!body) {
+      return { status: 'invalid-response' };
+    }
+
+    // A replayed answer keeps the time it was recorded (see cassette.js)
+    const fetchedAt = response.headers.get(RECORDED_AT_HEADER) || undefined;
+    return { status: 'ok', data: parseRaw(body), raw: body, fetchedAt };
+  }
+
+  return { id: source, name: 'rapidapi', archived: true, fetchPair };
+}
+
+module.exports = {
+  API_URL,
+  API_HOST,
+  createRapidApiProvider,
+  isQuotaMessage,
+  parseRaw,
+};
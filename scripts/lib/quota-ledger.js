@@ -0,0 +1,138 @@
+/**
+ * API Quota Ledger
+ *
+ * Every paid API request is counted in data/quota-ledger.json by month
+ * (UTC), tier and script:
+ *
+ *   { "months": { "2026-10": { "basic": { "refresh": 30 }, "pro": { "pro-refresh": 2800 } } } }
+ *
+ * Each tier is its own plan allowance, so a tier's spend is the sum over
+ * the scripts that ran on it: the pro-refresh run on the 1st never eats into
+ * the basic allowance the weekly refresh and rotate share. Before a run,
+ * budget() caps the script's own REQUESTS_PER_RUN at what is left of its
+ * tier's monthly allowance; a manual run late in the month therefore gets a
+ * smaller budget (or none) instead of blowing through the plan.
+ *
+ * Requests are counted BEFORE they are sent, and the file is re-read and
+ * rewritten (atomically) on every request, so a killed run never
+ * under-reports and two ledgers on the same file never lose counts.
+ *
+ * Set RAPIDAPI_TIER to override a script's default tier when the key is on a
+ * different plan. Each tier also sets how fast the scheduler may send
+ * requests (see scheduler.js): requestsPerSecond sits 10% under the plan's
+ * per-second limit, and concurrency is how many pairs may be in flight.
+ */
+
+const { PATHS, loadJson, saveJson } = require('./store');
+
+const TIERS = {
+  basic: { monthlyLimit: 120, requestsPerSecond: 0.33, concurrency: 1 },  // one request every 3s
+  pro: { monthlyLimit: 3000, requestsPerSecond: 0.9, concurrency: 2 },    // plan: 1/sec
+  ultra: { monthlyLimit: 30000, requestsPerSecond: 9, concurrency: 10 },  // plan: 10/sec
+};
+
+const EMPTY_LEDGER = { lastUpdated: null, months: {} };
+
+/**
+ * Ledger month key ("2026-10") for a date, in UTC
+ */
+function monthKey(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+/**
+ * Total requests recorded for a month across every script, on one tier or
+ * (without a tier) on all of them
+ */
+function monthTotal(ledger, month = monthKey(), tier = null) {
+  const tiers = ledger.months[month] || {};
+  let total = 0;
+  for (const [name, scripts] of Object.entries(tiers)) {
+    if (tier && name !== tier) continue;
+    for (const count of Object.values(scripts)) {
+      total += count;
+    }
+  }
+  return total;
+}
+
+/**
+ * The tier a script runs on (RAPIDAPI_TIER overrides its default)
+ */
+function resolveTier(tier) {
+  const activeTier = process.env.RAPIDAPI_TIER || tier;
+  if (!TIERS[activeTier]) {
+    throw new Error(`Unknown API tier "${activeTier}" (expected one of: ${Object.keys(TIERS).join(', ')})`);
+  }
+  return activeTier;
+}
+
+/**
+ * Open the ledger for one script
+ *
+ * options.script - script name recorded against each request
+ * options.tier   - default tier (RAPIDAPI_TIER overrides it)
+ * options.path   - ledger file (default data/quota-ledger.json)
+ */
+function createQuotaLedger({ script, tier, path = PATHS.quotaLedger }) {
+  const activeTier = resolveTier(tier);
+  const { monthlyLimit } = TIERS[activeTier];
+
+  function read() {
+    return loadJson(path, structuredClone(EMPTY_LEDGER));
+  }
+
+  function spent() {
+    return monthTotal(read(), monthKey(), activeTier);
+  }
+
+  function remaining() {
+    return Math.max(0, monthlyLimit - spent());
+  }
+
+  /**
+   * How many of the requested requests this run may make
+   */
+  function budget(requested) {
+    return Math.min(requested, remaining());
+  }
+
+  /**
+   * Count requests against this month (call before sending them)
+   */
+  function record(count = 1) {
+    const ledger = read();
+    const month = monthKey();
+    const tiers = ledger.months[month] || (ledger.months[month] = {});
+    const scripts = tiers[activeTier] || (tiers[activeTier] = {});
+    scripts[script] = (scripts[script] || 0) + count;
+    ledger.lastUpdated = new Date().toISOString();
+    saveJson(path, ledger, 'quota-ledger');
+  }
+
+  /**
+   * One-line status for run logs
+   */
+  function describe() {
+    return `${spent().toLocaleString()} of ${monthlyLimit.toLocaleString()} requests used in ${monthKey()} (${activeTier} tier), ${remaining().toLocaleString()} left`;
+  }
+
+  return {
+    script,
+    tier: activeTier,
+    monthlyLimit,
+    budget,
+    describe,
+    record,
+    remaining,
+    spent,
+  };
+}
+
+module.exports = {
+  TIERS,
+  createQuotaLedger,
+  monthKey,
+  monthTotal,
+  resolveTier,
+};
@@ -0,0 +1,106 @@
+/**
+ * Raw Response Archive - every provider payload, as received
+ *
+ * The client keeps three normalized fields of each response; the archive
+ * keeps the whole body so a normalizer fix can be applied to past answers
+ * without spending quota (`borderwise renormalize`). One gzip file per
+ * passport, appended a record at a time:
+ *
+ *   data/raw/GB.jsonl.gz
+ *     {"passport":"GB","destination":"TH","fetchedAt":"2026-...",
+ *      "provider":"rapidapi","source":"rapidapi-pro","raw":{...}}
+ *
+ * Each append is its own gzip member (concatenated members are one valid
+ * gzip stream), written and fsynced like the journal. Only 'ok' responses
+ * have a body to keep - including ones the classifier couldn't read - and
+ * only from network providers: mock and passport-index answers can be read
+ * again from their own files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+function archiveFileName(passport) {
+  return `raw/${passport}.jsonl.gz`;
+}
+
+/**
+ * Create an archive rooted at a data directory
+ */
+function createRawArchive(dataDir) {
+  const dir = path.join(dataDir, 'raw');
+
+  /**
+   * Append one response: { passport, destination, fetchedAt, provider, source, raw }
+   */
+  function append(record) {
+    fs.mkdirSync(dir, { recursive: true });
+    const fd = fs.openSync(path.join(dataDir, archiveFileName(record.passport)), 'a');
+    try {
+      fs.writeSync(fd, zlib.gzipSync(JSON.stringify(record) + '\n'));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Every archived response for a passport, oldest first. A member cut off
+   * by a kill mid-append ends the read; what came before is kept.
+   */
+  function read(passport) {
+    const filePath = path.join(dataDir, archiveFileName(passport));
+    if (!fs.existsSync(filePath)) return [];
+
+    let text;
+    try {
+      text = zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8');
+    } catch {
+      text = zlib.gunzipSync(fs.readFileSync(filePath), { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('utf8');
+    }
+
+    const records = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Partial record from a kill mid-append
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Passports with an archive file
+   */
+  function passports() {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(name => name.endsWith('.jsonl.gz'))
+      .map(name => name.slice(0, -'.jsonl.gz'.length))
+      .sort();
+  }
+
+  /**
+   * The newest archived response per destination for a passport
+   */
+  function latest(passport) {
+    const newest = new Map();
+    for (const record of read(passport)) {
+      const current = newest.get(record.destination);
+      if (!current || record.fetchedAt >= current.fetchedAt) {
+        newest.set(record.destination, record);
+      }
+    }
+    return newest;
+  }
+
+  return { append, latest, passports, read };
+}
+
+module.exports = {
+  archiveFileName,
+  createRawArchive,
+};
@@ -0,0 +1,235 @@
+/**
+ * Visa Requirement Classifier - the one place requirement text is read
+ *
+ * Used for API responses (visa-client.js) and for the passport-index
+ * dataset (import / convert). Works on whole words, not substrings, so
+ * "details" is not an ETA and "visa not required" is not visa-required:
+ *
+ *   1. Known phrases collapse to one upper-case token ("visa on arrival"
+ *      -> VOA, "K-ETA" / "NZeTA" / "ESTA" / "ETIAS" -> ETA, "e-Visa" -> EVISA)
+ *   2. The text splits into clauses at punctuation ("Visa required (visa
+ *      on arrival not available)" is two) and the clauses into words.
+ *      "no" / "not" / "without" / "cannot" negate the next token within
+ *      three words, and "not" the token up to two words before it - never
+ *      across a clause or past another known phrase
+ *   3. The first rule that matches wins:
+ *        "-1" (dataset home country)     -> home-country
+ *        no admission                    -> no-admission
+ *        freedom of movement             -> freedom-of-movement
+ *        ETA system (not negated)        -> eta
+ *        visa on arrival                 -> visa-on-arrival
+ *        e-visa                          -> e-visa
+ *        visa-free ("free" next to "visa",
+ *        not "free of charge", not
+ *        negated) / a bare number
+ *        (dataset days)                  -> visa-free
+ *        visa / required (not negated)   -> visa-required
+ *        negated visa-free               -> visa-required
+ *        negated requirement             -> visa-free
+ *        embassy                         -> visa-required
+ *        anything else                   -> unknown
+ *
+ *    A clause that states a requirement outweighs one that negates it:
+ *    "Visa not required for stays under 30 days, required otherwise" is
+ *    visa-required.
+ *
+ * no-admission, home-country and freedom-of-movement are SETTLED statuses:
+ * known answers that the refresh queues never re-request. settleRequirement()
+ * also derives home-country and freedom-of-movement from the pair itself
+ * (see FREE_MOVEMENT_AREAS in countries.js).
+ *
+ * Add a case to requirement-corpus.json with every fix
+ * (`borderwise classify --corpus`).
+ */
+
+const { freeMovementArea } = require('./countries');
+
+// Statuses that follow from the country registry, not from any source
+const REGISTRY_STATUSES = ['home-country', 'freedom-of-movement'];
+const SETTLED_STATUSES = ['no-admission', ...REGISTRY_STATUSES];
+
+// Multi-word phrases -> one token, applied in order to lower-cased text
+const PHRASES = [
+  [/\b(no admission|not admitted|admission (refused|not permitted)|entry (not permitted|prohibited|banned|refused|denied))\b/g, ' NOADMISSION '],
+  [/\bfreedom of movement\b/g, ' FREEMOVEMENT '],
+  [/\b(k-?eta|nz-?eta|e-?tas?|esta|etias|(electronic )?travel authori[sz]ation|electronic travel authority)\b/g, ' ETA '],
+  [/\b(visa (on|upon) arrival|arrival visa|voa)\b/g, ' VOA '],
+  [/\b(e-?visas?|electronic visas?|online visas?)\b/g, ' EVISA '],
+  [/\bvisa-? ?(free(?! of (charge|cost))|exempt|exemption|waiver)\b/g, ' VISAFREE '],
+];
+
+// Tokens that stand for a known phrase; negation never reaches past one
+const PHRASE_TOKENS = new Set(['NOADMISSION', 'FREEMOVEMENT', 'ETA', 'VOA', 'EVISA', 'VISAFREE']);
+
+// Marks the end of a clause in the token list
+const CLAUSE_BREAK = '|';
+
+const NEGATORS = new Set(['no', 'not', 'without', 'dont', 'doesnt', 'isnt', 'arent', 'never', 'non', 'cannot', 'cant']);
+const REQUIRED_WORDS = new Set(['visa', 'required', 'requires', 'require', 'needed', 'need', 'needs', 'necessary', 'mandatory']);
+
+/**
+ * Requirement text -> words, with known phrases as upper-case tokens and
+ * CLAUSE_BREAK between clauses: "Visa not required" -> ['visa', 'not',
+ * 'required'], "Visa required (no eVisa)" -> ['visa', 'required', '|',
+ * 'no', 'EVISA']
+ */
+function tokenize(text) {
+  let normalized = String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[_\s]+/g, ' ');
+  for (const [pattern, token] of PHRASES) {
+    normalized = normalized.replace(pattern, token);
+  }
+
+  const tokens = [];
+  for (const clause of normalized.split(/[,;.()[\]/!?]+/)) {
+    const words = clause.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+    if (words.length === 0) continue;
+    if (tokens.length > 0) tokens.push(CLAUSE_BREAK);
+    tokens.push(...words);
+  }
+  return tokens;
+}
+
+/**
+ * Is the token at `index` negated? ("no visa", "without ETA", "visa is not
+ * required"). Only looks inside the token's clause, and stops at another
+ * known phrase: in "not eligible for ETA, VOA" only the ETA is negated.
+ */
+function isNegated(tokens, index) {
+  for (let i = index - 1; i >= Math.max(0, index - 3); i--) {
+    if (tokens[i] === CLAUSE_BREAK || PHRASE_TOKENS.has(tokens[i])) break;
+    if (NEGATORS.has(tokens[i])) return true;
+  }
+  for (let i = index + 1; i < Math.min(tokens.length, index + 3); i++) {
+    if (tokens[i] === CLAUSE_BREAK || PHRASE_TOKENS.has(tokens[i])) break;
+    if (tokens[i] === 'not') return true;
+  }
+  return false;
+}
+
+function hasUnnegated(tokens, token) {
+  return tokens.some((t, i) => t === token && !isNegated(tokens, i));
+}
+
+/**
+ * "free" on its own means visa-free only next to "visa" ("visa: free"), or
+ * as the whole answer - not "Visa required. Free of charge". A negated
+ * visa-free phrase ("not visa free") never counts.
+ */
+function saysVisaFree(tokens) {
+  if (hasUnnegated(tokens, 'VISAFREE')) return true;
+  if (tokens.length === 1 && tokens[0] === 'free') return true;
+  return tokens.some((t, i) => t === 'free' && tokens[i + 1] !== 'of' &&
+    (tokens[i - 1] === 'visa' || tokens[i + 1] === 'visa'));
+}
+
+/**
+ * Classify requirement text into one of: visa-free | visa-on-arrival |
+ * e-visa | eta | visa-required | no-admission | home-country |
+ * freedom-of-movement | unknown
+ */
+function classifyRequirement(text) {
+  if (text === null || text === undefined) return 'unknown';
+  if (String(text).trim() === '-1') return 'home-country';
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return 'unknown';
+
+  if (tokens.includes('NOADMISSION')) return 'no-admission';
+  if (tokens.includes('FREEMOVEMENT')) return 'freedom-of-movement';
+  if (hasUnnegated(tokens, 'ETA')) return 'eta';
+  if (hasUnnegated(tokens, 'VOA')) return 'visa-on-arrival';
+  if (hasUnnegated(tokens, 'EVISA')) return 'e-visa';
+
+  // Dataset style: a number of visa-free days
+  if (/^\s*\d+\s*$/.test(text)) return 'visa-free';
+
+  if (saysVisaFree(tokens)) return 'visa-free';
+
+  const requirementWords = tokens
+    .map((token, i) => ({ token, i }))
+    .filter(({ token }) => REQUIRED_WORDS.has(token));
+  if (requirementWords.some(({ i }) => !isNegated(tokens, i))) return 'visa-required';
+  if (tokens.includes('VISAFREE')) return 'visa-required';
+  if (requirementWords.length > 0) return 'visa-free';
+  if (tokens.includes('embassy')) return 'visa-required';
+
+  return 'unknown';
+}
+
+/**
+ * Final status for a pair: the passport's own country is home-country, and
+ * a visa-free answer inside a free movement area is freedom-of-movement.
+ * Returns { requirement, area } - area is the free movement area or null.
+ */
+function settleRequirement(passport, destination, requirement) {
+  if (passport === destination) return { requirement: 'home-country', area: null };
+  const area = freeMovementArea(passport, destination);
+  if (area && (requirement === 'visa-free' || requirement === 'freedom-of-movement')) {
+    return { requirement: 'freedom-of-movement', area };
+  }
+  return { requirement, area: null };
+}
+
+/**
+ * A known answer that no refresh needs to ask a provider about again
+ */
+function isSettled(entry) {
+  return Boolean(entry) && SETTLED_STATUSES.includes(entry.requirement);
+}
+
+// Stay assumed for dataset values that don't give one (days)
+const DATASET_DEFAULT_DAYS = {
+  'visa-free': 90,
+  'visa-on-arrival': 30,
+  'eta': 90,
+};
+
+/**
+ * Classify one passport-index dataset value ("90", "visa free", "-1", ...)
+ * for a pair into { requirement, duration, notes, bases }, where bases gives
+ * the provenance basis of requirement and duration (see provenance.js).
+ * Returns null only for unrecognised text.
+ */
+function classifyDatasetValue(passport, destination, value) {
+  const text = String(value ?? '').trim();
+  const classified = classifyRequirement(text);
+  const { requirement, area } = settleRequirement(passport, destination, classified);
+  if (requirement === 'unknown') return null;
+
+  const requirementBasis = requirement === classified ? 'observed' : 'derived';
+  if (area) {
+    return {
+      requirement,
+      duration: area.maxStayDays,
+      notes: `${area.name} free movement`,
+      bases: { requirement: requirementBasis, duration: 'derived' },
+    };
+  }
+  if (SETTLED_STATUSES.includes(requirement)) {
+    return { requirement, duration: null, notes: null, bases: { requirement: requirementBasis, duration: 'observed' } };
+  }
+
+  // A number is the stay itself; otherwise the stay is our default, if any
+  const days = /^\d+$/.test(text) ? parseInt(text, 10) : null;
+  const assumed = days === null ? DATASET_DEFAULT_DAYS[requirement] ?? null : null;
+  return {
+    requirement,
+    duration: days ?? assumed,
+    notes: null,
+    bases: { requirement: requirementBasis, duration: assumed !== null ? 'assumed' : 'observed' },
+  };
+}
+
+module.exports = {
+  REGISTRY_STATUSES,
+  SETTLED_STATUSES,
+  classifyDatasetValue,
+  classifyRequirement,
+  isSettled,
+  settleRequirement,
+  tokenize,
+};
@@ -0,0 +1,125 @@
+/**
+ * Request Scheduler - token bucket plus a worker pool, sized to the API tier
+ *
+ * Two separate limits:
+ *
+ *   requestsPerSecond - every provider call (retries included) takes a token
+ *                       first (see visa-client.js). The bucket holds one
+ *                       token, so calls are spaced at least 1/rate apart and
+ *                       no second of the run can burst past the rate.
+ *   concurrency       - pairs in flight at once (forEach). Several pairs
+ *                       waiting on the network keep the bucket busy; they
+ *                       never add requests beyond its rate.
+ *
+ * A 429 pauses the whole scheduler - every pair in flight waits - instead of
+ * only the pair that got it (pause()). The monthly cap stays with the quota
+ * ledger, which every call is counted in before it is made.
+ *
+ * Per-tier settings are in quota-ledger.js (TIERS).
+ */
+
+const { sleep } = require('./visa-client');
+
+/**
+ * Create a scheduler
+ *
+ * options.requestsPerSecond - token refill rate (0 or Infinity: no limit)
+ * options.concurrency       - pairs in flight at once (default 1)
+ */
+function createScheduler({ requestsPerSecond = Infinity, concurrency = 1 } = {}) {
+  const intervalMs = requestsPerSecond > 0 && Number.isFinite(requestsPerSecond) ? 1000 / requestsPerSecond : 0;
+  const lanes = Math.max(1, Math.floor(concurrency));
+
+  let tokens = 1;
+  let refilledAt = Date.now();
+  let pausedUntil = 0;
+  let stopped = false;
+  // Callers take tokens one after another, in the order they asked
+  let line = Promise.resolve();
+
+  async function take() {
+    for (;;) {
+      const now = Date.now();
+      if (now < pausedUntil) {
+        await sleep(pausedUntil - now);
+        continue;
+      }
+      if (intervalMs === 0) return;
+
+      tokens = Math.min(1, tokens + (now - refilledAt) / intervalMs);
+      refilledAt = now;
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil((1 - tokens) * intervalMs));
+    }
+  }
+
+  /**
+   * Wait until a request may be sent
+   */
+  function acquire() {
+    const turn = line.then(take);
+    line = turn;
+    return turn;
+  }
+
+  /**
+   * Hold every request for ms (a 429 means the whole key is over the limit).
+   * Overlapping pauses end with the latest one.
+   */
+  function pause(ms) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Start no more work in forEach (pairs in flight finish)
+   */
+  function stop() {
+    stopped = true;
+  }
+
+  /**
+   * Run worker(item, index) over items, up to `concurrency` at once, in
+   * order. Stops starting items after stop() or a worker throws; the first
+   * error is rethrown once the items in flight have finished, so a failure
+   * never abandons results that were already fetched.
+   */
+  async function forEach(items, worker) {
+    let next = 0;
+    let failure = null;
+
+    async function lane() {
+      while (!stopped && !failure && next < items.length) {
+        const index = next++;
+        try {
+          await worker(items[index], index);
+        } catch (error) {
+          failure = failure || { error };
+        }
+      }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(lanes, items.length) }, lane));
+    if (failure) throw failure.error;
+  }
+
+  function describe() {
+    const rate = intervalMs === 0 ? 'no rate limit' : `${Number(requestsPerSecond.toFixed(2))} requests/sec`;
+    return `${rate}, ${lanes} pair${lanes === 1 ? '' : 's'} at a time`;
+  }
+
+  /**
+   * Minutes `requests` take at the token rate (0 when unlimited)
+   */
+  function estimateMinutes(requests) {
+    return Math.ceil(requests * intervalMs / 1000 / 60);
+  }
+
+  return { acquire, describe, estimateMinutes, forEach, pause, stop };
+}
+
+module.exports = {
+  createScheduler,
+};
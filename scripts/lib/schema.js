@@ -0,0 +1,170 @@
+/**
+ * JSON Schema Validation for data/ files
+ *
+ * Schemas live in schemas/*.schema.json. This is a small draft-07 subset
+ * validator (no dependencies - the workflows only have plain Node):
+ * type, enum, const, required, properties, additionalProperties,
+ * propertyNames, pattern, minLength, minimum, maximum, items, anyOf, oneOf,
+ * format "date-time" and "#/definitions/..." refs (local or to another
+ * file in schemas/).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_DIR = path.join(__dirname, '..', '..', 'schemas');
+const MAX_ERRORS = 50;
+
+const schemaCache = new Map();
+
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+class ValidationError extends Error {
+  constructor(name, errors) {
+    const preview = errors.slice(0, 5).map(e => `  ${e.path}: ${e.message}`).join('\n');
+    super(`${name} failed schema validation (${errors.length} error${errors.length === 1 ? '' : 's'}):\n${preview}`);
+    this.name = 'ValidationError';
+    // Non-enumerable so a crash report prints the summary, not every error
+    Object.defineProperty(this, 'errors', { value: errors });
+  }
+}
+
+/**
+ * Load a schema by name ("visa-rules" -> schemas/visa-rules.schema.json)
+ */
+function loadSchema(name) {
+  if (!schemaCache.has(name)) {
+    const schemaPath = path.join(SCHEMA_DIR, `${name}.schema.json`);
+    schemaCache.set(name, JSON.parse(fs.readFileSync(schemaPath, 'utf8')));
+  }
+  return schemaCache.get(name);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Resolve a $ref to { schema, root }. Supports "#/definitions/x" and
+ * "<name>.schema.json#/definitions/x" (another file in schemas/).
+ */
+function resolveRef(root, ref) {
+  const [file, pointer = ''] = ref.split('#');
+  const base = file ? loadSchema(file.replace(/\.schema\.json$/, '')) : root;
+  if (pointer && !pointer.startsWith('/')) {
+    throw new Error(`Unsupported $ref "${ref}"`);
+  }
+  const schema = pointer.split('/').slice(1).reduce((node, key) => node[key], base);
+  return { schema, root: base };
+}
+
+/**
+ * Validate a value against a schema. Returns an array of { path, message }.
+ */
+function validate(schema, value, root = schema, at = '$', errors = []) {
+  if (errors.length >= MAX_ERRORS) return errors;
+
+  if (schema.$ref) {
+    const resolved = resolveRef(root, schema.$ref);
+    return validate(resolved.schema, value, resolved.root, at, errors);
+  }
+
+  const fail = message => errors.push({ path: at, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`expected ${types.join(' | ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    fail(`expected ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`expected at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && (!DATE_TIME.test(value) || isNaN(Date.parse(value)))) {
+      fail(`${JSON.stringify(value)} is not an ISO 8601 date-time`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    fail(`expected >= ${schema.minimum}, got ${value}`);
+  }
+  if (typeof value === 'number' && schema.maximum !== undefined && value > schema.maximum) {
+    fail(`expected <= ${schema.maximum}, got ${value}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => validate(schema.items, item, root, `${at}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`missing required property "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = `${at}.${key}`;
+      if (schema.propertyNames) {
+        const before = errors.length;
+        validate(schema.propertyNames, key, root, childPath, errors);
+        if (errors.length > before) continue;
+      }
+      if (schema.properties && schema.properties[key]) {
+        validate(schema.properties[key], child, root, childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        fail(`unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        validate(schema.additionalProperties, child, root, childPath, errors);
+      }
+      if (errors.length >= MAX_ERRORS) return errors;
+    }
+  }
+
+  if (schema.anyOf || schema.oneOf) {
+    const options = schema.anyOf || schema.oneOf;
+    const matches = options.filter(option => validate(option, value, root, at, []).length === 0).length;
+    if (schema.anyOf && matches === 0) fail('does not match any allowed shape');
+    if (schema.oneOf && matches !== 1) fail(`must match exactly one allowed shape (matched ${matches})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a value against a named schema; throws ValidationError on failure
+ */
+function assertValid(name, value) {
+  const errors = validate(loadSchema(name), value);
+  if (errors.length > 0) {
+    throw new ValidationError(name, errors);
+  }
+}
+
+module.exports = {
+  MAX_ERRORS,
+  SCHEMA_DIR,
+  ValidationError,
+  assertValid,
+  loadSchema,
+  validate,
+};
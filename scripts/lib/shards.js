@@ -0,0 +1,110 @@
+/**
+ * Per-Passport Shards
+ *
+ * Alongside the monolithic visa-rules.json, each passport gets its own file
+ * so the app can download only the rules for its user's passport:
+ *
+ *   data/passports/GB.json     { "passport": "GB", "rules": { "TH": {...}, ... } }
+ *   data/passports/index.json  manifest with sha256, size and lastUpdated per shard
+ *
+ * A shard is only rewritten (and its lastUpdated bumped) when its content
+ * changes, so clients can compare hashes and skip unchanged passports.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-write');
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function shardFileName(passport) {
+  return `passports/${passport}.json`;
+}
+
+/**
+ * Serialize one passport's shard exactly as it is written to disk
+ */
+function serializeShard(passport, rules) {
+  return JSON.stringify({ passport, rules }, null, 2);
+}
+
+/**
+ * Serialize the shard index exactly as it is written to disk
+ */
+function serializeIndex(index) {
+  return JSON.stringify(index, null, 2);
+}
+
+/**
+ * Build shard contents and the index manifest for a rules object.
+ * previousIndex (may be null) carries over lastUpdated for unchanged shards.
+ *
+ * Returns { index, files, changed, removed }: files maps relative path ->
+ * content for every shard, changed lists the paths whose content changed and
+ * removed lists shard paths to delete.
+ */
+function buildShards(data, previousIndex) {
+  const previousShards = previousIndex?.shards || {};
+  const shards = {};
+  const files = {};
+  const changed = [];
+
+  for (const passport of Object.keys(data.rules).sort()) {
+    const content = serializeShard(passport, data.rules[passport]);
+    const hash = sha256(content);
+    const previous = previousShards[passport];
+    const isChanged = !previous || previous.sha256 !== hash;
+
+    shards[passport] = {
+      path: shardFileName(passport),
+      sha256: hash,
+      size: Buffer.byteLength(content),
+      rules: Object.keys(data.rules[passport]).length,
+      lastUpdated: isChanged ? data.lastUpdated : previous.lastUpdated,
+    };
+    files[shards[passport].path] = content;
+    if (isChanged) changed.push(shards[passport].path);
+  }
+
+  const removed = Object.keys(previousShards)
+    .filter(passport => !shards[passport])
+    .map(passport => previousShards[passport].path);
+
+  const index = {
+    version: data.version,
+    dataVersion: data.dataVersion,
+    lastUpdated: data.lastUpdated,
+    shards,
+  };
+
+  return { index, files, changed, removed };
+}
+
+/**
+ * Write changed (or missing) shards, delete removed ones and write the index
+ */
+function writeShards(dataDir, { index, files, changed, removed }) {
+  fs.mkdirSync(path.join(dataDir, 'passports'), { recursive: true });
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.join(dataDir, relativePath);
+    if (changed.includes(relativePath) || !fs.existsSync(filePath)) {
+      writeFileAtomic(filePath, content);
+    }
+  }
+  for (const relativePath of removed) {
+    fs.rmSync(path.join(dataDir, relativePath), { force: true });
+  }
+  writeFileAtomic(path.join(dataDir, 'passports', 'index.json'), serializeIndex(index));
+}
+
+module.exports = {
+  buildShards,
+  serializeIndex,
+  serializeShard,
+  sha256,
+  shardFileName,
+  writeShards,
+};
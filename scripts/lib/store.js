@@ -0,0 +1,390 @@
+/**
+ * Data Store - the one place that reads and writes files in data/
+ *
+ * Every write is validated against its schema (schemas/) BEFORE anything
+ * touches disk, so a bad entry fails the run instead of being committed.
+ * Files are written atomically (temp file + rename) and fetched results go
+ * through the merge policy (see merge.js) and the write-ahead journal (see
+ * journal.js). Every merge decision - accepted or rejected - is appended to
+ * data/merge-log.jsonl with its reason; saving keeps the newest
+ * MERGE_LOG_LIMIT records. Saving also scores every entry's confidence
+ * (see confidence.js) against the passport-index dataset in data/, and
+ * appends every changed pair to data/history/ (see history.js). The merge
+ * log, history and raw archive are git-ignored: the workflows keep them on
+ * the run-logs branch instead of committing them with the data.
+ *
+ * Set BORDERWISE_DATA_DIR to work on a copy of data/ (local/offline runs).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { assertValid } = require('./schema');
+const { MAX_DELTAS, buildDelta, deltaFileName } = require('./delta');
+const { buildShards, serializeIndex, sha256, writeShards } = require('./shards');
+const { appendLineSync, writeFileAtomic } = require('./atomic-write');
+const { appendJournal, clearJournal, replayJournal } = require('./journal');
+const { auditRecord, mergeEntry } = require('./merge');
+const { scoreRules } = require('./confidence');
+const { readPassportIndexMap } = require('./passport-index-csv');
+const { diffRules } = require('./diff');
+const { appendHistory, buildHistoryRecords } = require('./history');
+const { parseDuration } = require('./durations');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const DATA_DIR = process.env.BORDERWISE_DATA_DIR || DEFAULT_DATA_DIR;
+
+const PATHS = {
+  rules: path.join(DATA_DIR, 'visa-rules.json'),
+  version: path.join(DATA_DIR, 'version.json'),
+  lifecycle: path.join(DATA_DIR, 'lifecycle.json'),
+  progress: path.join(DATA_DIR, 'progress.json'),
+  fullLoadProgress: path.join(DATA_DIR, 'full-load-progress.json'),
+  changelogMarkdown: path.join(DATA_DIR, 'changelog.md'),
+  changelogJson: path.join(DATA_DIR, 'changelog.json'),
+  deltas: path.join(DATA_DIR, 'deltas'),
+  passports: path.join(DATA_DIR, 'passports'),
+  shardIndex: path.join(DATA_DIR, 'passports', 'index.json'),
+  journal: path.join(DATA_DIR, 'journal.jsonl'),
+  quotaLedger: path.join(DATA_DIR, 'quota-ledger.json'),
+  mergeLog: path.join(DATA_DIR, 'merge-log.jsonl'),
+  passportIndex: path.join(DATA_DIR, 'passport-index-iso2.csv'),
+  history: path.join(DATA_DIR, 'history'),
+};
+
+// Merge log records kept by saveData() (a full import writes ~40,000)
+const MERGE_LOG_LIMIT = 50000;
+
+// Entries written before every writer recorded a source get this id
+const LEGACY_SOURCE = 'legacy';
+
+// Pairs restored from the journal by the last loadData() call
+let replayedPairs = [];
+
+// passport-index values by pair, read once per process for scoring
+let datasetIndex = null;
+
+// The rules file as published before this run's first save since the last
+// commit (undefined until then), and the delta the run's last save wrote -
+// see saveData() and markPublished()
+let runBase;
+let runDeltaPath = null;
+
+/**
+ * Bring an entry written by an older script into the current shape:
+ * every entry has requirement, duration (integer days), stay, lastChecked
+ * and source. Text durations ("3 months") are parsed into stay.
+ */
+function migrateEntry(entry) {
+  const stay = entry.stay !== undefined ? entry.stay : parseDuration(entry.duration ?? null);
+  return {
+    ...entry,
+    duration: stay?.days ?? null,
+    stay,
+    lastChecked: entry.lastChecked ?? null,
+    source: entry.source || LEGACY_SOURCE,
+  };
+}
+
+/**
+ * Migrate every entry of a rules file in place (see migrateEntry)
+ */
+function migrateData(data) {
+  data.rules = data.rules || {};
+  for (const destinations of Object.values(data.rules)) {
+    for (const [destination, entry] of Object.entries(destinations)) {
+      destinations[destination] = migrateEntry(entry);
+    }
+  }
+  return data;
+}
+
+/**
+ * Load visa rules data. With a fallback, a missing/unreadable file returns
+ * the fallback instead of throwing.
+ *
+ * Results journaled by an interrupted run are replayed on top; see
+ * getReplayedPairs() for which ones.
+ */
+function loadData(fallback) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(PATHS.rules, 'utf8'));
+  } catch (error) {
+    if (fallback === undefined) throw error;
+    data = fallback;
+  }
+
+  migrateData(data);
+  replayedPairs = replayJournal(PATHS.journal, data);
+  for (const pair of replayedPairs) {
+    // Journaled by an older version, maybe - migrate like the rest
+    const [passport, destination] = pair.split('->');
+    data.rules[passport][destination] = migrateEntry(data.rules[passport][destination]);
+  }
+  if (replayedPairs.length > 0) {
+    console.log(`Replayed ${replayedPairs.length} journaled result(s) from an interrupted run`);
+  }
+  return data;
+}
+
+/**
+ * Pairs ("PP->DD") restored from the journal by the last loadData() call
+ */
+function getReplayedPairs() {
+  return replayedPairs;
+}
+
+/**
+ * Append merge decisions to the merge log in one write
+ */
+function appendMergeLog(records) {
+  if (records.length === 0) return;
+  appendLineSync(PATHS.mergeLog, records.map(record => JSON.stringify(record)).join('\n'));
+}
+
+/**
+ * Keep the newest MERGE_LOG_LIMIT merge log records
+ */
+function compactMergeLog() {
+  if (!fs.existsSync(PATHS.mergeLog)) return;
+  const lines = fs.readFileSync(PATHS.mergeLog, 'utf8').split('\n').filter(Boolean);
+  if (lines.length > MERGE_LOG_LIMIT) {
+    writeFileAtomic(PATHS.mergeLog, lines.slice(-MERGE_LOG_LIMIT).join('\n') + '\n');
+  }
+}
+
+/**
+ * Merge a fetched result into the rules (see merge.js) and log the decision.
+ * An accepted entry is journaled first, then updated in memory; it reaches
+ * visa-rules.json on the next saveData().
+ *
+ * Returns the decision: { accepted, reason, detail, entry }.
+ */
+function recordResult(data, passport, destination, entry) {
+  const existing = data.rules[passport]?.[destination];
+  const decision = mergeEntry(existing, entry);
+  appendMergeLog([auditRecord(passport, destination, existing, entry, decision)]);
+  if (!decision.accepted) return decision;
+
+  appendJournal(PATHS.journal, passport, destination, decision.entry);
+  if (!data.rules[passport]) {
+    data.rules[passport] = {};
+  }
+  data.rules[passport][destination] = decision.entry;
+  return decision;
+}
+
+/**
+ * The passport-index dataset as a "PP->DD" => value map (empty without one)
+ */
+function loadDatasetIndex() {
+  if (!datasetIndex) {
+    datasetIndex = fs.existsSync(PATHS.passportIndex) ? readPassportIndexMap(PATHS.passportIndex) : new Map();
+  }
+  return datasetIndex;
+}
+
+/**
+ * Integrity record for one published file
+ */
+function describeArtifact(content) {
+  return { sha256: sha256(content), size: Buffer.byteLength(content) };
+}
+
+/**
+ * Fill in sha256/size for delta manifest entries written before they were
+ * recorded; entries whose file is gone are dropped.
+ */
+function withIntegrity(deltas) {
+  return deltas.flatMap(delta => {
+    if (delta.sha256) return [delta];
+    try {
+      return [{ ...delta, ...describeArtifact(fs.readFileSync(path.join(DATA_DIR, delta.path), 'utf8')) }];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Count rules and passports in a rules object
+ */
+function countRules(data) {
+  const passports = Object.keys(data.rules || {});
+  const ruleCount = passports.reduce((sum, passport) => sum + Object.keys(data.rules[passport]).length, 0);
+  return { ruleCount, passportCount: passports.length };
+}
+
+/**
+ * Build version.json contents for a rules object.
+ * artifacts maps published paths (relative to data/) to { sha256, size }.
+ */
+function buildVersion(data, deltas = [], artifacts = {}) {
+  return {
+    version: data.version,
+    lastUpdated: data.lastUpdated,
+    dataVersion: data.dataVersion,
+    ...countRules(data),
+    artifacts,
+    deltas,
+  };
+}
+
+/**
+ * Read the published rules file exactly as clients have it (no migration)
+ */
+function loadPublished() {
+  try {
+    return JSON.parse(fs.readFileSync(PATHS.rules, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate and save visa rules data plus version.json.
+ *
+ * Also writes a delta from the dataVersion published before this run to the
+ * new one (data/deltas/) and lists the newest MAX_DELTAS in version.json, and
+ * writes the per-passport shards (data/passports/) from the same rules.
+ * version.json records the SHA-256 and size of every published file so
+ * clients can verify downloads. Pairs whose value changed since the
+ * published file are appended to their passport's history.
+ *
+ * A long run saves every few hundred requests. Each of those saves replaces
+ * the run's delta with one from the run's starting version, so a whole run
+ * adds one delta to the chain instead of one per checkpoint. Once a
+ * checkpoint is committed (markPublished), clients may sync to it: its delta
+ * is kept and the next save starts a new one from its version.
+ */
+function saveData(data) {
+  const previous = loadPublished();
+  const previousVersion = loadJson(PATHS.version, {});
+  if (runBase === undefined) runBase = previous;
+
+  data.lastUpdated = new Date().toISOString();
+  scoreRules(data, loadDatasetIndex());
+  // Strictly increasing, even for two saves in the same millisecond
+  data.dataVersion = Math.max(Date.now(), (previous?.dataVersion || 0) + 1);
+
+  // This run's checkpoint delta is superseded by the one written below
+  let deltas = withIntegrity(previousVersion.deltas || []).filter(entry => entry.path !== runDeltaPath);
+  let delta = null;
+  let deltaContent = null;
+  if (runBase && Number.isInteger(runBase.dataVersion) && runBase.dataVersion > 0) {
+    delta = buildDelta(runBase, data);
+    deltaContent = JSON.stringify(delta);
+    deltas = [...deltas, {
+      from: delta.fromVersion,
+      to: delta.toVersion,
+      path: deltaFileName(delta.fromVersion, delta.toVersion),
+      changes: delta.changes,
+      ...describeArtifact(deltaContent),
+    }];
+  } else {
+    // No published base to patch from - clients must take the full file
+    deltas = [];
+  }
+  const expired = deltas.slice(0, Math.max(0, deltas.length - MAX_DELTAS));
+  deltas = deltas.slice(-MAX_DELTAS);
+
+  const shards = buildShards(data, loadJson(PATHS.shardIndex, null));
+
+  // Compared in the current shape, so an upgrade alone is not a change
+  const history = buildHistoryRecords(
+    diffRules(previous ? migrateData(structuredClone(previous)) : null, data),
+    data.lastUpdated
+  );
+
+  const rulesContent = JSON.stringify(data, null, 2);
+  const version = buildVersion(data, deltas, {
+    'visa-rules.json': describeArtifact(rulesContent),
+    'passports/index.json': describeArtifact(serializeIndex(shards.index)),
+  });
+
+  assertValid('visa-rules', data);
+  assertValid('version', version);
+  assertValid('shard-index', shards.index);
+  if (delta) assertValid('delta', delta);
+  for (const record of history) assertValid('history-record', record);
+
+  if (delta) {
+    fs.mkdirSync(PATHS.deltas, { recursive: true });
+    writeFileAtomic(path.join(DATA_DIR, deltaFileName(delta.fromVersion, delta.toVersion)), deltaContent);
+  }
+  writeShards(DATA_DIR, shards);
+  // Before the rules: a kill in between repeats a record rather than losing it
+  appendHistory(DATA_DIR, history);
+  writeFileAtomic(PATHS.rules, rulesContent);
+  // version.json goes last: until it is written, clients keep the old version
+  writeFileAtomic(PATHS.version, JSON.stringify(version, null, 2));
+
+  // Everything journaled is now in visa-rules.json
+  clearJournal(PATHS.journal);
+  compactMergeLog();
+
+  const superseded = runDeltaPath;
+  runDeltaPath = delta ? deltaFileName(delta.fromVersion, delta.toVersion) : null;
+  for (const old of [...expired.map(entry => entry.path), superseded]) {
+    if (old && old !== runDeltaPath) fs.rmSync(path.join(DATA_DIR, old), { force: true });
+  }
+}
+
+/**
+ * The last save is published (committed to git): keep its delta, and start
+ * the next save's delta from its version
+ */
+function markPublished() {
+  runBase = undefined;
+  runDeltaPath = null;
+}
+
+/**
+ * Load a JSON file, returning the fallback if it is missing or unreadable
+ */
+function loadJson(filePath, fallback) {
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch {}
+  return fallback;
+}
+
+/**
+ * Whether this run works on a copy of data/ (BORDERWISE_DATA_DIR), not the
+ * published data
+ */
+function isScratchDataDir() {
+  return path.resolve(DATA_DIR) !== path.resolve(DEFAULT_DATA_DIR);
+}
+
+/**
+ * Validate a value against a named schema and save it
+ */
+function saveJson(filePath, value, schemaName) {
+  if (schemaName) assertValid(schemaName, value);
+  writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+}
+
+module.exports = {
+  DATA_DIR,
+  LEGACY_SOURCE,
+  MERGE_LOG_LIMIT,
+  PATHS,
+  appendMergeLog,
+  buildVersion,
+  countRules,
+  describeArtifact,
+  getReplayedPairs,
+  isScratchDataDir,
+  loadData,
+  loadPublished,
+  loadJson,
+  markPublished,
+  migrateData,
+  migrateEntry,
+  recordResult,
+  saveData,
+  saveJson,
+};
@@ -0,0 +1,200 @@
+/**
+ * Shared Visa API Client
+ *
+ * One implementation of checkVisaRequirement for every update script:
+ * - Same exponential backoff for rate limits and network errors
+ * - Same quota handling (detected by the provider, stops the run)
+ * - Same response mapping into our rule entry shape
+ * - NEVER returns "unknown" - it would overwrite good data
+ *
+ * Where the data comes from is up to the provider (see providers/index.js).
+ * With options.ledger every provider call - retries included - is counted
+ * in the quota ledger before it is made, and once the month's allowance is
+ * spent the client returns { quotaExceeded: true } without calling the API
+ * (see quota-ledger.js). With options.archive every 'ok' response body from
+ * an archived provider (one that asks the network, see providers/index.js)
+ * is kept in the raw archive before it is normalized (see raw-archive.js).
+ * With options.scheduler every provider call waits for a token first, and a
+ * rate limit pauses every caller, not just the one that hit it (see
+ * scheduler.js).
+ *
+ * RESULT SHAPE:
+ * - { requirement, duration, stay, notes, lastChecked, source,
+ *     provenance }                                          -> usable entry
+ * - { rateLimited: true }                                   -> stop the run
+ * - { quotaExceeded: true }                                 -> stop the run
+ * - null                                                    -> skip this pair
+ */
+
+const { classifyRequirement, settleRequirement } = require('./requirements');
+const { createProvider } = require('./providers');
+const { parseDuration } = require('./durations');
+const { buildProvenance } = require('./provenance');
+
+const DEFAULT_OPTIONS = {
+  baseDelayMs: 1000,     // First backoff wait; doubles on every retry
+  maxRetries: 3,
+  backoffMultiplier: 2,
+  log: console.log,
+};
+
+async function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Map provider data for a pair into our rule entry shape (duration parsed,
+ * see durations.js; home country / free movement settled, see requirements.js;
+ * what the provider actually said kept in provenance, see provenance.js).
+ * fetchedAt is when the provider answered (default: now).
+ */
+function mapResponse(data, source, passport, destination, fetchedAt = new Date().toISOString()) {
+  const classified = classifyRequirement(data.requirement);
+  const { requirement, area } = settleRequirement(passport, destination, classified);
+  const stay = area ? parseDuration(area.maxStayDays) : parseDuration(data.duration);
+  return {
+    requirement,
+    duration: stay?.days ?? null,
+    stay,
+    notes: data.notes || (area ? `${area.name} free movement` : null),
+    lastChecked: fetchedAt,
+    source,
+    provenance: buildProvenance(source, fetchedAt, {
+      requirement: requirement === classified ? 'observed' : 'derived',
+      duration: area ? 'derived' : 'observed',
+    }, {
+      requirement: data.requirement,
+      duration: data.duration,
+    }),
+  };
+}
+
+/**
+ * Create a client bound to a provider and retry configuration
+ *
+ * options.provider - provider object (default: RapidAPI with options.apiKey)
+ * options.source   - source id for the default RapidAPI provider
+ * options.ledger   - quota ledger to count requests in (paid providers)
+ * options.archive  - raw archive to keep response bodies in
+ * options.scheduler - token bucket shared by every call (see scheduler.js)
+ */
+function createVisaClient(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const { baseDelayMs, maxRetries, backoffMultiplier, log, ledger, archive, scheduler } = config;
+  const provider = config.provider
+    || createProvider('rapidapi', { apiKey: config.apiKey, source: config.source });
+
+  function backoffFor(retryCount) {
+    return baseDelayMs * Math.pow(backoffMultiplier, retryCount);
+  }
+
+  /**
+   * Turn one provider response into a client result (no retries here)
+   */
+  function toResult(response, passport, destination) {
+    const pair = `${passport}->${destination}`;
+    switch (response.status) {
+      case 'ok': {
+        const fetchedAt = response.fetchedAt || new Date().toISOString();
+        if (provider.archived) archive?.append({ passport, destination, fetchedAt, provider: provider.name, source: provider.id, raw: response.raw ?? null });
+        const entry = mapResponse(response.data, provider.id, passport, destination, fetchedAt);
+        // NEVER return unknown - it would overwrite good data
+        if (entry.requirement === 'unknown') {
+          log(`  Unrecognized response for ${pair}:`, JSON.stringify(response.raw ?? response.data).substring(0, 200));
+          return null;
+        }
+        return entry;
+      }
+      case 'quota-exceeded':
+        log(`\n!! QUOTA EXCEEDED - stopping to preserve existing data`);
+        return { quotaExceeded: true };
+      case 'http-error':
+        console.warn(`  Error ${pair}: ${response.code}`);
+        return null;
+      case 'invalid-response':
+        console.warn(`  Empty or invalid response body for ${pair}`);
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  async function checkVisaRequirement(passport, destination, retryCount = 0) {
+    const pair = `${passport}->${destination}`;
+    await scheduler?.acquire();
+    if (ledger && ledger.remaining() < 1) {
+      log(`\n!! Monthly API allowance used up (${ledger.describe()}) - stopping`);
+      return { quotaExceeded: true };
+    }
+    ledger?.record();
+    const response = await provider.fetchPair(passport, destination);
+
+    if (response.status === 'network-error') {
+      if (retryCount < maxRetries) {
+        const backoffMs = backoffFor(retryCount);
+        log(`  Network error on ${pair}, retrying in ${backoffMs/1000}s (${retryCount + 1}/${maxRetries})...`);
+        await sleep(backoffMs);
+        return checkVisaRequirement(passport, destination, retryCount + 1);
+      }
+      console.error(`  Failed ${pair} after ${maxRetries} retries: ${response.error?.message}`);
+      return null;
+    }
+
+    if (response.status === 'rate-limited') {
+      if (retryCount < maxRetries) {
+        const backoffMs = backoffFor(retryCount + 1);
+        log(`  Rate limited on ${pair}, waiting ${backoffMs/1000}s before retry ${retryCount + 1}/${maxRetries}...`);
+        if (scheduler) {
+          // The retry's acquire() waits out the pause with everyone else
+          scheduler.pause(backoffMs);
+        } else {
+          await sleep(backoffMs);
+        }
+        return checkVisaRequirement(passport, destination, retryCount + 1);
+      }
+      log(`\n!! Rate limit persists after ${maxRetries} retries - stopping`);
+      return { rateLimited: true };
+    }
+
+    return toResult(response, passport, destination);
+  }
+
+  /**
+   * Check many pairs at once. Uses the provider's batch call when it has one;
+   * results needing a retry fall back to checkVisaRequirement.
+   */
+  async function checkBatch(pairs) {
+    // One at a time when there is no batch call, or not enough allowance for the whole batch
+    if (!provider.fetchBatch || (ledger && ledger.remaining() < pairs.length)) {
+      const results = [];
+      for (const [passport, destination] of pairs) {
+        results.push(await checkVisaRequirement(passport, destination));
+      }
+      return results;
+    }
+
+    await scheduler?.acquire();
+    ledger?.record(pairs.length);
+    const responses = await provider.fetchBatch(pairs);
+    const results = [];
+    for (let i = 0; i < pairs.length; i++) {
+      const [passport, destination] = pairs[i];
+      const response = responses[i];
+      if (response.status === 'rate-limited' || response.status === 'network-error') {
+        await sleep(backoffFor(response.status === 'rate-limited' ? 1 : 0));
+        results.push(await checkVisaRequirement(passport, destination));
+      } else {
+        results.push(toResult(response, passport, destination));
+      }
+    }
+    return results;
+  }
+
+  return { provider, checkVisaRequirement, checkBatch };
+}
+
+module.exports = {
+  createVisaClient,
+  mapResponse,
+  sleep,
+};
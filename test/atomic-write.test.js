@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { appendLineSync, writeFileAtomic } = require('../scripts/lib/atomic-write');
+const { appendJournal, readJournal } = require('../scripts/lib/journal');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'borderwise-write-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('writeFileAtomic replaces the file and leaves no temp file', (t) => {
+  const dir = tempDir(t);
+  const file = path.join(dir, 'rules.json');
+  writeFileAtomic(file, 'old');
+  writeFileAtomic(file, 'new');
+  assert.equal(fs.readFileSync(file, 'utf8'), 'new');
+  assert.deepEqual(fs.readdirSync(dir), ['rules.json']);
+});
+
+test('appendLineSync cuts off a line torn by a kill before appending', (t) => {
+  const file = path.join(tempDir(t), 'log.jsonl');
+  fs.writeFileSync(file, '{"n":1}\n{"n":2');
+  appendLineSync(file, '{"n":3}');
+  assert.equal(fs.readFileSync(file, 'utf8'), '{"n":1}\n{"n":3}\n');
+
+  // A file that is all torn line
+  fs.writeFileSync(file, '{"n"');
+  appendLineSync(file, '{"n":4}');
+  assert.equal(fs.readFileSync(file, 'utf8'), '{"n":4}\n');
+});
+
+test('appendLineSync finds the last complete line past a long torn tail', (t) => {
+  const file = path.join(tempDir(t), 'log.jsonl');
+  fs.writeFileSync(file, `{"n":1}\n{"pad":"${'x'.repeat(10000)}`);
+  appendLineSync(file, '{"n":2}');
+  assert.equal(fs.readFileSync(file, 'utf8'), '{"n":1}\n{"n":2}\n');
+});
+
+test('the first result after a killed append survives in the journal', (t) => {
+  const journal = path.join(tempDir(t), 'journal.jsonl');
+  const entry = { requirement: 'visa-free', duration: 30 };
+  appendJournal(journal, 'GB', 'TH', entry);
+  fs.appendFileSync(journal, '{"passport":"GB","destination":"JP","ent');
+
+  appendJournal(journal, 'GB', 'BR', entry);
+  assert.deepEqual(readJournal(journal).map(record => record.destination), ['TH', 'BR']);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CassetteError, createCassette, readCassette } = require('../scripts/lib/cassette');
+const { createRapidApiProvider } = require('../scripts/lib/providers/rapidapi');
+
+function tempFile(t, name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'borderwise-cassette-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, name);
+}
+
+/**
+ * The live API, scripted: per destination, a list of [status, body] or 'offline'
+ */
+function liveApi(script) {
+  return async (url, init) => {
+    const next = script[new URLSearchParams(init.body).get('destination')].shift();
+    if (next === 'offline') throw new TypeError('fetch failed');
+    return new Response(next[1], { status: next[0], headers: { 'content-type': 'application/json' } });
+  };
+}
+
+async function fetchAll(provider, destinations) {
+  const statuses = [];
+  for (const destination of destinations) {
+    statuses.push((await provider.fetchPair('GB', destination)).status);
+  }
+  return statuses;
+}
+
+test('a recorded run replays the same responses without the network', async (t) => {
+  const file = tempFile(t, 'run.jsonl');
+  const destinations = ['TH', 'TH', 'JP', 'JP', 'FR', 'DE'];
+  const expected = ['rate-limited', 'ok', 'network-error', 'ok', 'invalid-response', 'quota-exceeded'];
+
+  const recorder = createCassette(file, 'record', {
+    fetch: liveApi({
+      TH: [[429, '{"message":"Too many requests"}'], [200, '{"requirement":"Visa Free","duration":"30 days"}']],
+      JP: ['offline', [200, '{"requirement":"Visa Free","duration":"90 days"}']],
+      FR: [[200, 'not json']],
+      DE: [[429, '{"message":"You have exceeded the MONTHLY quota"}']],
+    }),
+  });
+  assert.deepEqual(await fetchAll(createRapidApiProvider({ apiKey: 'SECRET', fetch: recorder.fetch }), destinations), expected);
+
+  assert.equal(readCassette(file).length, 6);
+  assert.equal(fs.readFileSync(file, 'utf8').includes('SECRET'), false);
+
+  t.mock.method(globalThis, 'fetch', () => {
+    throw new Error('network used during replay');
+  });
+  const player = createCassette(file, 'replay');
+  const replayed = createRapidApiProvider({ apiKey: 'replay', fetch: player.fetch });
+  assert.deepEqual(await fetchAll(replayed, destinations), expected);
+});
+
+test('replay fails on a request the cassette has no answer for', async (t) => {
+  const file = tempFile(t, 'run.jsonl');
+  const recorder = createCassette(file, 'record', {
+    fetch: liveApi({ TH: [[200, '{"requirement":"Visa Free"}']] }),
+  });
+  await createRapidApiProvider({ apiKey: 'KEY', fetch: recorder.fetch }).fetchPair('GB', 'TH');
+
+  const provider = createRapidApiProvider({ apiKey: 'KEY', fetch: createCassette(file, 'replay').fetch });
+  assert.equal((await provider.fetchPair('GB', 'TH')).status, 'ok');
+  await assert.rejects(provider.fetchPair('GB', 'TH'), CassetteError);
+  await assert.rejects(provider.fetchPair('GB', 'JP'), CassetteError);
+});
+
+test('a replayed answer reports the time it was recorded', async (t) => {
+  const file = tempFile(t, 'run.jsonl');
+  const recorder = createCassette(file, 'record', {
+    fetch: liveApi({ TH: [[200, '{"requirement":"Visa Free"}']] }),
+  });
+  const live = await createRapidApiProvider({ apiKey: 'KEY', fetch: recorder.fetch }).fetchPair('GB', 'TH');
+  assert.equal(live.fetchedAt, undefined);
+
+  const [{ recordedAt }] = readCassette(file);
+  const provider = createRapidApiProvider({ apiKey: 'KEY', fetch: createCassette(file, 'replay').fetch });
+  assert.equal((await provider.fetchPair('GB', 'TH')).fetchedAt, recordedAt);
+});
+
+test('a malformed cassette is rejected with its line number', (t) => {
+  const file = tempFile(t, 'bad.jsonl');
+  fs.writeFileSync(file, '{"request":{"method":"POST","url":"x","body":""},"error":{"message":"x"}}\n{"request":{}}\n');
+  assert.throws(() => readCassette(file), /line 2: request needs method, url and body/);
+
+  fs.writeFileSync(file, '{"request":{"method":"POST","url":"x","body":""},"response":{"status":200,"body":"{}"}}\n');
+  assert.throws(() => readCassette(file), /line 1: response needs the time it was recorded/);
+  assert.throws(() => readCassette(tempFile(t, 'missing.jsonl')), CassetteError);
+});
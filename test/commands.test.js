@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { answer, createDataDir, readRules, runCli, writeCassette, writeJson } = require('./helpers');
+
+const COMMANDS = fs.readdirSync(path.join(__dirname, '..', 'scripts', 'commands'))
+  .filter(name => name.endsWith('.js'))
+  .map(name => name.slice(0, -'.js'.length));
+
+test('every command loads and prints its help', (t) => {
+  const dataDir = createDataDir(t);
+  for (const name of COMMANDS) {
+    const { status, stdout, stderr } = runCli(dataDir, [name, '--help']);
+    assert.equal(status, 0, `${name}: ${stderr}`);
+    assert.match(stdout, new RegExp(`^Usage: borderwise ${name}`), name);
+  }
+});
+
+test('an unknown flag is a usage error', (t) => {
+  const dataDir = createDataDir(t);
+  const { status, stderr } = runCli(dataDir, ['refresh', '--budjet', '5']);
+  assert.equal(status, 1);
+  assert.match(stderr, /Unknown option '--budjet'/);
+});
+
+test('intervals and concurrency below 1 are usage errors', (t) => {
+  const dataDir = createDataDir(t);
+  for (const [name, flag] of [['full-load', '--save-interval'], ['pro-refresh', '--save-interval'], ['refresh', '--concurrency']]) {
+    const { status, stderr } = runCli(dataDir, [name, flag, '0', '--dry-run']);
+    assert.equal(status, 1, name);
+    assert.match(stderr, new RegExp(`${flag} expects a number of at least 1, got "0"`), name);
+  }
+});
+
+test('the API commands plan with --dry-run and write nothing', (t) => {
+  const dataDir = createDataDir(t);
+  const before = fs.readdirSync(dataDir).sort();
+  for (const name of ['refresh', 'rotate', 'pro-refresh', 'full-load', 'test-load']) {
+    const { status, stdout, stderr } = runCli(dataDir, [name, '--dry-run', '--passports', 'US', '--destinations', 'TH']);
+    assert.equal(status, 0, `${name}: ${stderr}`);
+    assert.match(stdout, /DRY RUN - would request 1 pair\(s\)/, name);
+  }
+  assert.deepEqual(fs.readdirSync(dataDir).sort(), before);
+});
+
+test('a tier\'s budget is only spent by runs on that tier', (t) => {
+  const dataDir = createDataDir(t);
+  const month = new Date().toISOString().slice(0, 7);
+  writeJson(dataDir, 'quota-ledger.json', {
+    lastUpdated: null,
+    months: { [month]: { pro: { 'pro-refresh': 2800 }, basic: { rotate: 100 } } },
+  });
+  const { status, stdout, stderr } = runCli(dataDir, ['refresh', '--dry-run']);
+  assert.equal(status, 0, stderr);
+  assert.match(stdout, /100 of 120 requests used in \d{4}-\d{2} \(basic tier\), 20 left/);
+  assert.match(stdout, /Budget: 20 requests/);
+});
+
+test('a replay refuses to write into the published data/', (t) => {
+  const dataDir = createDataDir(t);
+  const cassette = writeCassette(path.join(dataDir, 'refresh.jsonl'), [answer('US', 'TH', 'Visa Free', '30 days')]);
+  // An empty BORDERWISE_DATA_DIR means data/
+  const { status, stderr } = runCli(dataDir, [
+    'refresh', '--replay', cassette, '--passports', 'US', '--destinations', 'TH',
+  ], { BORDERWISE_DATA_DIR: '' });
+  assert.equal(status, 1);
+  assert.match(stderr, /--replay needs BORDERWISE_DATA_DIR set to a scratch copy of data\//);
+});
+
+test('rotate updates changed pairs and leaves the rotation alone when filtered', (t) => {
+  const dataDir = createDataDir(t);
+  const cassette = writeCassette(path.join(dataDir, 'rotate.jsonl'), [
+    answer('GB', 'TH', 'Visa Free', '30 days'),
+    answer('US', 'TH', 'Visa Free', '30 days'),
+  ]);
+  const { status, stdout, stderr } = runCli(dataDir, [
+    'rotate', '--replay', cassette, '--passports', 'GB,US', '--destinations', 'TH',
+  ]);
+  assert.equal(status, 0, stderr);
+  assert.match(stdout, /\[OK\] GB->TH: visa-free/);
+  assert.match(stdout, /\[UPDATED\] US->TH: visa-free \(30 days\)/);
+
+  const rules = readRules(dataDir);
+  assert.equal(rules.GB.TH.lastChecked, '2026-01-01T00:00:00.000Z');
+  assert.equal(rules.US.TH.requirement, 'visa-free');
+  assert.equal(fs.existsSync(path.join(dataDir, 'progress.json')), false);
+});
+
+test('test-load records entries under its own source', (t) => {
+  const dataDir = createDataDir(t);
+  const cassette = writeCassette(path.join(dataDir, 'test-load.jsonl'), [
+    answer('US', 'TH', 'eVisa', '60 days'),
+  ]);
+  const { status, stderr } = runCli(dataDir, [
+    'test-load', '--replay', cassette, '--passports', 'US', '--destinations', 'TH',
+  ]);
+  assert.equal(status, 0, stderr);
+  const rules = readRules(dataDir);
+  assert.equal(rules.US.TH.requirement, 'e-visa');
+  assert.equal(rules.US.TH.source, 'rapidapi-test');
+});
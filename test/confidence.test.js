@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LOW_CONFIDENCE, isLowConfidence, scoreEntry, scoreRules } = require('../scripts/lib/confidence');
+
+const NOW = Date.parse('2026-06-01T00:00:00.000Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function entry(source, daysOld, extra = {}) {
+  const lastChecked = daysOld === null ? null : new Date(NOW - daysOld * DAY_MS).toISOString();
+  return { requirement: 'visa-free', duration: 90, stay: null, source, lastChecked, ...extra };
+}
+
+function score(value, options = {}) {
+  return scoreEntry('GB', 'JP', value, { now: NOW, ...options });
+}
+
+test('a fresh API answer scores its source reliability', () => {
+  assert.equal(score(entry('rapidapi', 1)), 0.95);
+  assert.equal(score(entry('legacy', 1)), 0.7);
+  assert.equal(score(entry('mock', 1)), 0.3);
+  assert.equal(score(entry('somewhere-else', 1)), 0.5);
+});
+
+test('the score falls with age, in bands', () => {
+  assert.deepEqual([10, 60, 120, 200, 400].map(days => score(entry('rapidapi', days))), [0.95, 0.86, 0.76, 0.62, 0.48]);
+  // Never checked against the API
+  assert.equal(score(entry('passport-index', null)), 0.52);
+});
+
+test('assumed durations and disagreement with the dataset lower the score', () => {
+  const assumed = entry('rapidapi', 1, { provenance: { duration: { basis: 'assumed' } } });
+  assert.equal(score(assumed), 0.76);
+  assert.equal(score(entry('rapidapi', 1), { datasetValue: 'visa required' }), 0.57);
+  assert.equal(score(entry('rapidapi', 1), { datasetValue: '30' }), 0.76);
+  assert.equal(score(entry('rapidapi', 1), { datasetValue: '90' }), 0.95);
+});
+
+test('unknown scores 0 and registry statuses score 1', () => {
+  assert.equal(score(entry('rapidapi', 1, { requirement: 'unknown' })), 0);
+  assert.equal(score(entry('legacy', 400, { requirement: 'home-country' })), 1);
+  assert.equal(score(entry('legacy', 400, { requirement: 'freedom-of-movement' })), 1);
+});
+
+test('scoreRules sets confidence on every entry against the dataset map', () => {
+  const data = { rules: { GB: { JP: entry('rapidapi', 1), TH: entry('rapidapi', 1) } } };
+  scoreRules(data, new Map([['GB->TH', 'visa required']]), { now: NOW });
+  assert.equal(data.rules.GB.JP.confidence, 0.95);
+  assert.equal(data.rules.GB.TH.confidence, 0.57);
+});
+
+test('isLowConfidence flags scores below LOW_CONFIDENCE', () => {
+  assert.equal(isLowConfidence({ confidence: LOW_CONFIDENCE - 0.01 }), true);
+  assert.equal(isLowConfidence({ confidence: LOW_CONFIDENCE }), false);
+  assert.equal(isLowConfidence({}), false);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CsvError, parseCsv, readCsv } = require('../scripts/lib/csv');
+const { readPassportIndexCsv, readPassportIndexMap } = require('../scripts/lib/passport-index-csv');
+const { FIXTURES } = require('./helpers');
+
+function writeTemp(t, name, content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'borderwise-csv-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+test('parseCsv handles quotes, doubled quotes, line breaks in quotes and a BOM', () => {
+  const { records, errors } = parseCsv('﻿name,note\r\n"Korea, South","say ""hi"""\n"two\nlines",x\r\rlast,');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records, [
+    { line: 1, fields: ['name', 'note'] },
+    { line: 2, fields: ['Korea, South', 'say "hi"'] },
+    { line: 3, fields: ['two\nlines', 'x'] },
+    { line: 6, fields: ['last', ''] },
+  ]);
+});
+
+test('parseCsv reports malformed fields with their line', () => {
+  assert.deepEqual(parseCsv('a,b\nx"y,z\n"q"r,s\n').errors, [
+    { line: 2, message: 'quote inside an unquoted field' },
+    { line: 3, message: 'text after a closing quote' },
+  ]);
+  assert.deepEqual(parseCsv('a,b\n"open,x\n').errors, [{ line: 2, message: 'unterminated quoted field' }]);
+});
+
+test('readCsv checks the header and every row\'s field count', () => {
+  const { header, rows } = readCsv(' Passport ,Destination\nGB,TH\n', { columns: ['passport', 'destination'] });
+  assert.deepEqual(header, ['Passport', 'Destination']);
+  assert.deepEqual(rows, [{ line: 2, fields: ['GB', 'TH'] }]);
+
+  let error;
+  try {
+    readCsv('a,b\n1,2,3\n4\n', { columns: ['x', 'y'], source: 'test.csv' });
+  } catch (caught) {
+    error = caught;
+  }
+  assert.ok(error instanceof CsvError);
+  assert.match(error.message, /^test\.csv is not valid CSV \(3 problems\)/);
+  assert.deepEqual(error.errors.map(e => e.line), [1, 2, 3]);
+  // Kept off the enumerable properties, so a crash report stays short
+  assert.equal(Object.keys(error).includes('errors'), false);
+
+  assert.throws(() => readCsv(''), /no header row/);
+});
+
+test('readPassportIndexCsv reads the tidy ISO2 layout', () => {
+  const { layout, rows } = readPassportIndexCsv(path.join(FIXTURES, 'passport-index-iso2.csv'));
+  assert.equal(layout, 'tidy');
+  assert.deepEqual(rows[1], { line: 3, passport: 'GB', destination: 'TH', value: 'visa required' });
+});
+
+test('readPassportIndexCsv resolves names in the tidy and matrix layouts', (t) => {
+  const tidy = writeTemp(t, 'tidy.csv', 'Passport,Destination,Requirement\nUnited Kingdom,"Korea, South", 90 \n');
+  assert.deepEqual(readPassportIndexCsv(tidy).rows, [{ line: 2, passport: 'GB', destination: 'KR', value: '90' }]);
+
+  const matrix = writeTemp(t, 'raw.csv', 'Passport,Thailand,United Kingdom\nUnited Kingdom,visa required,-1\n');
+  const { layout, rows } = readPassportIndexCsv(matrix);
+  assert.equal(layout, 'matrix');
+  assert.deepEqual(rows.map(({ destination, value }) => [destination, value]), [['TH', 'visa required'], ['GB', '-1']]);
+});
+
+test('readPassportIndexCsv names each unknown country once', (t) => {
+  const file = writeTemp(t, 'bad.csv', 'Passport,Destination,Requirement\nAtlantis,Thailand,90\nAtlantis,Japan,90\n');
+  assert.throws(() => readPassportIndexCsv(file), /line 2: unknown country "Atlantis" \(2 occurrences\)/);
+
+  const header = writeTemp(t, 'header.csv', 'Country,Thailand\nGB,90\n');
+  assert.throws(() => readPassportIndexCsv(header), CsvError);
+});
+
+test('readPassportIndexMap keys values by pair', () => {
+  const index = readPassportIndexMap(path.join(FIXTURES, 'passport-index-iso2.csv'));
+  assert.equal(index.get('GB->JP'), '90');
+  assert.equal(index.get('US->CN'), 'not-a-requirement');
+  assert.equal(index.has('GB->FR'), false);
+});
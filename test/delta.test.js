@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyDelta, buildDelta, deltaFileName } = require('../scripts/lib/delta');
+
+function rules(dataVersion, rulesByPassport, extra = {}) {
+  return { version: '3.0.0', lastUpdated: `v${dataVersion}`, dataVersion, source: 'Mixed sources', rules: rulesByPassport, ...extra };
+}
+
+const TH = { requirement: 'visa-free', duration: 30, source: 'rapidapi' };
+const JP = { requirement: 'visa-free', duration: 90, source: 'rapidapi' };
+const CN = { requirement: 'visa-required', duration: null, source: 'rapidapi' };
+
+test('buildDelta lists added, changed and removed pairs', () => {
+  const before = rules(1, { GB: { TH, JP }, US: { CN } });
+  const after = rules(2, { GB: { TH: { ...TH, duration: 60 }, JP, CN } });
+  const delta = buildDelta(before, after);
+
+  assert.equal(delta.fromVersion, 1);
+  assert.equal(delta.toVersion, 2);
+  assert.equal(delta.changes, 3);
+  assert.deepEqual(delta.set, { GB: { TH: { ...TH, duration: 60 }, CN } });
+  assert.deepEqual(delta.remove, ['US->CN']);
+  assert.deepEqual(delta.meta, { version: '3.0.0', lastUpdated: 'v2', source: 'Mixed sources' });
+});
+
+test('applyDelta turns the old file into exactly the new one', () => {
+  const before = rules(1, { GB: { TH, JP }, US: { CN } });
+  const after = rules(2, { GB: { TH: { ...TH, duration: 60 }, CN }, US: {} }, { notes: 'refreshed' });
+  const delta = buildDelta(before, after);
+  assert.deepEqual(applyDelta(structuredClone(before), delta), after);
+});
+
+test('an unchanged file gives an empty delta', () => {
+  const delta = buildDelta(rules(1, { GB: { TH } }), rules(2, { GB: { TH } }));
+  assert.equal(delta.changes, 0);
+  assert.deepEqual(delta.set, {});
+  assert.deepEqual(delta.remove, []);
+});
+
+test('applyDelta refuses a delta that starts at another version', () => {
+  const delta = buildDelta(rules(1, {}), rules(2, { GB: { TH } }));
+  assert.throws(() => applyDelta(rules(5, {}), delta), /Delta starts at 1, data is at 5/);
+});
+
+test('deltaFileName names the versions it joins', () => {
+  assert.equal(deltaFileName(1, 2), 'deltas/1-2.json');
+});
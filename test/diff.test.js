@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffRules, hasChanges, renderMarkdown } = require('../scripts/lib/diff');
+
+function entry(requirement, duration, source = 'rapidapi', extra = {}) {
+  return { requirement, duration, source, ...extra };
+}
+
+function snapshot(dataVersion, rules) {
+  return { dataVersion, lastUpdated: `2026-0${dataVersion}-01T00:00:00.000Z`, rules };
+}
+
+const BEFORE = snapshot(1, {
+  GB: {
+    TH: entry('visa-free', 30),
+    JP: entry('visa-free', 90, 'passport-index'),
+    CN: entry('visa-required', null),
+    BR: entry('visa-free', 90),
+  },
+  US: { TH: entry('visa-free', 30) },
+});
+const AFTER = snapshot(2, {
+  GB: {
+    TH: entry('visa-required', null),
+    JP: entry('visa-free', 90),
+    CN: entry('visa-required', null),
+    BR: entry('visa-free', 60),
+  },
+  US: {},
+  FR: { TH: entry('visa-free', 30) },
+});
+
+test('diffRules groups each changed pair under one kind of change', () => {
+  const diff = diffRules(BEFORE, AFTER);
+  assert.deepEqual(diff.summary, { requirement: 1, duration: 1, source: 1, added: 1, removed: 1, unchanged: 1 });
+  assert.deepEqual(diff.from, { dataVersion: 1, lastUpdated: '2026-01-01T00:00:00.000Z' });
+
+  assert.deepEqual(Object.keys(diff.passports), ['FR', 'GB', 'US']);
+  assert.deepEqual(diff.passports.GB.requirement.map(c => c.destination), ['TH']);
+  assert.deepEqual(diff.passports.GB.duration.map(c => c.destination), ['BR']);
+  assert.deepEqual(diff.passports.GB.source.map(c => c.destination), ['JP']);
+  assert.deepEqual(diff.passports.FR.added.map(c => c.destination), ['TH']);
+  assert.deepEqual(diff.passports.US.removed.map(c => c.destination), ['TH']);
+});
+
+test('diffRules compares parsed stays, so old text durations are not changes', () => {
+  const before = snapshot(1, { GB: { TH: entry('visa-free', '3 months') } });
+  const after = snapshot(2, { GB: { TH: entry('visa-free', 90, 'rapidapi', { stay: { days: 90, windowDays: null, basis: 'per-visit', text: '90 days' } }) } });
+  assert.equal(hasChanges(diffRules(before, after)), false);
+});
+
+test('diffRules treats a missing side as empty', () => {
+  const diff = diffRules(null, AFTER);
+  assert.equal(diff.summary.added, 5);
+  assert.equal(diff.from.dataVersion, null);
+  assert.equal(hasChanges(diffRules(AFTER, AFTER)), false);
+});
+
+test('renderMarkdown lists every change, marking assumed stays unconfirmed', () => {
+  const assumed = { provenance: { duration: { basis: 'assumed' } } };
+  const after = structuredClone(AFTER);
+  after.rules.FR.TH = entry('visa-free', 90, 'passport-index', assumed);
+
+  const markdown = renderMarkdown(diffRules(BEFORE, after));
+  assert.match(markdown, /\| Requirement changed \| 1 \|/);
+  assert.match(markdown, /- GB->TH: visa-free \(30 days\) -> visa-required/);
+  assert.match(markdown, /- GB->BR: 90 days -> 60 days \(visa-free\)/);
+  assert.match(markdown, /- GB->JP: passport-index -> rapidapi/);
+  assert.match(markdown, /- FR->TH: visa-free \(90 days, unconfirmed\)/);
+  assert.match(markdown, /- US->TH: was visa-free \(30 days\)/);
+
+  assert.match(renderMarkdown(diffRules(AFTER, AFTER)), /No changes\./);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { disputeKind, disputesFirst, findDisputes, findDisputesInFile } = require('../scripts/lib/disputes');
+const { FIXTURES } = require('./helpers');
+
+function entry(requirement, duration, source = 'rapidapi') {
+  return { requirement, duration, stay: null, source, lastChecked: '2026-01-01T00:00:00.000Z' };
+}
+
+test('disputeKind compares requirements, then stays the dataset actually gives', () => {
+  assert.equal(disputeKind('GB', 'TH', entry('visa-free', 30), 'visa required'), 'requirement');
+  assert.equal(disputeKind('GB', 'JP', entry('visa-free', 30), '90'), 'duration');
+  assert.equal(disputeKind('GB', 'JP', entry('visa-free', 90), '90'), null);
+  // "visa free" gives no stay, so its assumed 90 days are not a claim
+  assert.equal(disputeKind('GB', 'BR', entry('visa-free', 30), 'visa free'), null);
+});
+
+test('disputeKind has nothing to compare for dataset entries, unknowns and unreadable values', () => {
+  assert.equal(disputeKind('GB', 'TH', entry('visa-free', 30, 'passport-index'), 'visa required'), null);
+  assert.equal(disputeKind('GB', 'TH', entry('unknown', null), 'visa required'), null);
+  assert.equal(disputeKind('GB', 'TH', undefined, 'visa required'), null);
+  assert.equal(disputeKind('GB', 'TH', entry('visa-free', 30), 'not-a-requirement'), null);
+});
+
+test('disputeKind settles free movement the same way on both sides', () => {
+  assert.equal(disputeKind('GB', 'IE', entry('freedom-of-movement', null), 'visa free'), null);
+});
+
+test('findDisputes ranks priority passports first, requirement disputes before duration ones', () => {
+  const data = {
+    rules: {
+      MN: { TH: entry('visa-free', 30) },
+      GB: { JP: entry('visa-free', 30), TH: entry('visa-free', 30) },
+      US: { TH: entry('e-visa', 30) },
+    },
+  };
+  const rows = [
+    { passport: 'MN', destination: 'TH', value: 'visa required' },
+    { passport: 'GB', destination: 'JP', value: '90' },
+    { passport: 'GB', destination: 'TH', value: 'visa required' },
+    { passport: 'US', destination: 'TH', value: '30' },
+  ];
+
+  const disputes = findDisputes(data, rows);
+  assert.deepEqual(disputes.map(d => `${d.passport}->${d.destination} ${d.kind}`), [
+    'GB->TH requirement',
+    'GB->JP duration',
+    'US->TH requirement',
+    'MN->TH requirement',
+  ]);
+  assert.deepEqual(disputes[1].rules, { requirement: 'visa-free', days: 30 });
+  assert.deepEqual(disputes[1].dataset, { requirement: 'visa-free', days: 90, raw: '90' });
+
+  assert.equal(findDisputes(data, rows, { passports: ['US'] }).length, 1);
+});
+
+test('findDisputesInFile reads the dataset CSV', () => {
+  const data = { rules: { GB: { TH: entry('visa-free', 30), JP: entry('visa-free', 90) } } };
+  const disputes = findDisputesInFile(data, path.join(FIXTURES, 'passport-index-iso2.csv'));
+  assert.deepEqual(disputes.map(d => d.destination), ['TH']);
+});
+
+test('disputesFirst moves disputed pairs to the front, keeping the order of each part', () => {
+  const queue = ['TH', 'JP', 'BR', 'CN'].map(destination => ({ passport: 'GB', destination }));
+  const disputes = [{ passport: 'GB', destination: 'CN' }, { passport: 'GB', destination: 'JP' }];
+  assert.deepEqual(disputesFirst(queue, disputes).map(item => item.destination), ['JP', 'CN', 'TH', 'BR']);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatStay, parseDuration, sameStay } = require('../scripts/lib/durations');
+
+function stay(days, windowDays = null) {
+  return { days, windowDays, basis: windowDays === null ? 'per-visit' : 'per-period' };
+}
+
+function parsed(value) {
+  const { days, windowDays, basis } = parseDuration(value);
+  return { days, windowDays, basis };
+}
+
+test('parseDuration reads numbers and single quantities as per-visit stays', () => {
+  assert.deepEqual(parseDuration(90), { days: 90, windowDays: null, basis: 'per-visit', text: null });
+  assert.deepEqual(parsed('90 days'), stay(90));
+  assert.deepEqual(parsed('3 months'), stay(90));
+  assert.deepEqual(parsed('two weeks'), stay(14));
+  assert.deepEqual(parsed('1 year'), stay(365));
+  assert.deepEqual(parsed('30'), stay(30));
+});
+
+test('parseDuration returns null when there is no stay', () => {
+  for (const value of [null, undefined, '', '   ', 0, -5, NaN]) {
+    assert.equal(parseDuration(value), null, String(value));
+  }
+  assert.deepEqual(parsed('Not specified'), stay(null));
+});
+
+test('parseDuration reads rolling windows', () => {
+  assert.deepEqual(parsed('90/180'), stay(90, 180));
+  assert.deepEqual(parsed('90 days within 180'), stay(90, 180));
+  assert.deepEqual(parsed('90 days in any 180 day period'), stay(90, 180));
+  assert.deepEqual(parsed('90 days within any 180-day period'), stay(90, 180));
+  assert.deepEqual(parsed('90 days within a 6 month period'), stay(90, 180));
+  assert.deepEqual(parsed('90 days in a 6-month period'), stay(90, 180));
+});
+
+test('parseDuration reads a window with no number only right after the stay', () => {
+  assert.deepEqual(parsed('90 days per year'), stay(90, 365));
+  assert.deepEqual(parsed('up to 30 days per calendar year'), stay(30, 365));
+  assert.deepEqual(parsed('6 months within a year'), stay(180, 365));
+  assert.deepEqual(parsed('per year'), stay(null, 365));
+  // The year is the window of the 180-day cap, not of the 90-day stay
+  assert.deepEqual(parsed('90 days (max 180 per year)'), stay(90));
+});
+
+// Texts that once parsed wrong, with the stay they give
+const REGRESSIONS = [
+  ['one entry, up to 30 days', stay(30)],
+  ['2 entries, 30 days each', stay(30)],
+  ['single entry', stay(null)],
+];
+
+test('parseDuration only reads a number without a unit as days when it is the whole value', () => {
+  for (const [text, expected] of REGRESSIONS) {
+    assert.deepEqual(parsed(text), expected, text);
+  }
+  assert.deepEqual(parsed('90'), stay(90));
+  assert.deepEqual(parsed('0'), stay(null));
+});
+
+test('parseDuration keeps the original text', () => {
+  assert.equal(parseDuration(' 90 days ').text, '90 days');
+});
+
+test('sameStay compares days, window and basis but not the text', () => {
+  assert.equal(sameStay(parseDuration('90 days'), parseDuration(90)), true);
+  assert.equal(sameStay(parseDuration('3 months'), parseDuration('90 days')), true);
+  assert.equal(sameStay(parseDuration('90 days'), parseDuration('90/180')), false);
+  assert.equal(sameStay(null, undefined), true);
+  assert.equal(sameStay(null, parseDuration(30)), false);
+});
+
+test('formatStay gives a short label', () => {
+  assert.equal(formatStay(parseDuration('3 months')), '90 days');
+  assert.equal(formatStay(parseDuration('90/180')), '90 days per 180');
+  assert.equal(formatStay(parseDuration('Not specified')), 'Not specified');
+  assert.equal(formatStay(null), null);
+});
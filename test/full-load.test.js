@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { applyDelta } = require('../scripts/lib/delta');
+const { FIXTURES, answer, createDataDir, readJson, readRules, runCli, writeCassette } = require('./helpers');
+
+// Commits in a test repository need no git config
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'test', GIT_AUTHOR_EMAIL: 'test@example.com',
+  GIT_COMMITTER_NAME: 'test', GIT_COMMITTER_EMAIL: 'test@example.com',
+};
+
+// GB->IE is free movement in the fixture, so it is never requested
+const ANSWERS = {
+  BR: answer('GB', 'BR', 'Visa Free', '90 days'),
+  CN: answer('GB', 'CN', 'Visa Required'),
+  JP: answer('GB', 'JP', 'Visa Free', '90 days'),
+  TH: answer('GB', 'TH', 'Visa Free', '60 days'),
+};
+
+function fullLoad(dataDir, cassette, ...args) {
+  return runCli(dataDir, [
+    'full-load', '--replay', cassette, '--passports', 'GB', '--destinations', 'BR,CN,IE,JP,TH',
+    '--commit-interval', '0', ...args,
+  ]);
+}
+
+function completedPairs(dataDir) {
+  return readJson(dataDir, 'full-load-progress.json').completedPairs.sort();
+}
+
+test('full-load picks up where the previous run stopped', (t) => {
+  const dataDir = createDataDir(t);
+
+  const first = fullLoad(dataDir, writeCassette(path.join(dataDir, 'first.jsonl'), Object.values(ANSWERS)), '--budget', '2');
+  assert.equal(first.status, 0, first.stderr);
+  const done = completedPairs(dataDir);
+  assert.equal(done.length, 3); // two requested, plus the settled GB->IE
+  assert.ok(done.includes('GB->IE'));
+
+  // The second run may only ask for the pairs the first one didn't finish
+  const remaining = Object.entries(ANSWERS)
+    .filter(([destination]) => !done.includes(`GB->${destination}`))
+    .map(([, exchange]) => exchange);
+  assert.equal(remaining.length, 2);
+  const second = fullLoad(dataDir, writeCassette(path.join(dataDir, 'second.jsonl'), remaining));
+  assert.equal(second.status, 0, second.stderr);
+  assert.match(second.stdout, /DATABASE COMPLETE/);
+  assert.deepEqual(completedPairs(dataDir), ['GB->BR', 'GB->CN', 'GB->IE', 'GB->JP', 'GB->TH']);
+
+  const rules = readRules(dataDir);
+  assert.equal(rules.GB.CN.requirement, 'visa-required');
+  assert.equal(rules.GB.TH.duration, 60);
+  assert.equal(rules.GB.IE.requirement, 'freedom-of-movement');
+
+  const third = fullLoad(dataDir, writeCassette(path.join(dataDir, 'third.jsonl'), []));
+  assert.equal(third.status, 0, third.stderr);
+  assert.match(third.stdout, /All pairs already checked/);
+});
+
+test('full-load resumes a killed run from the journal without re-fetching', (t) => {
+  const dataDir = createDataDir(t);
+
+  // The cassette ends after GB->BR: the next request fails the run before any save
+  const killed = fullLoad(dataDir, writeCassette(path.join(dataDir, 'killed.jsonl'), [ANSWERS.BR]));
+  assert.equal(killed.status, 1);
+  assert.equal(readRules(dataDir).GB.BR, undefined);
+  assert.match(fs.readFileSync(path.join(dataDir, 'journal.jsonl'), 'utf8'), /"destination":"BR"/);
+
+  // GB->BR is not in this cassette - asking for it again would fail the run
+  const resumed = fullLoad(dataDir, writeCassette(path.join(dataDir, 'resumed.jsonl'), [ANSWERS.CN, ANSWERS.JP, ANSWERS.TH]));
+  assert.equal(resumed.status, 0, resumed.stderr);
+  assert.equal(readRules(dataDir).GB.BR.duration, 90);
+  assert.deepEqual(completedPairs(dataDir), ['GB->BR', 'GB->CN', 'GB->IE', 'GB->JP', 'GB->TH']);
+  assert.equal(fs.existsSync(path.join(dataDir, 'journal.jsonl')), false);
+});
+
+test('full-load leaves a rate-limited pair for the next run and keeps the pairs in flight', (t) => {
+  const dataDir = createDataDir(t);
+  const limited = { passport: 'GB', destination: 'BR', status: 429, body: { message: 'Too many requests' } };
+  const cassette = writeCassette(path.join(dataDir, 'limited.jsonl'), [
+    limited, limited, limited, limited,
+    ANSWERS.CN, ANSWERS.JP, ANSWERS.TH,
+  ]);
+  const { status, stdout, stderr } = fullLoad(dataDir, cassette);
+  assert.equal(status, 0, stderr);
+  assert.match(stdout, /Rate limited: YES/);
+
+  // The other pairs were already in flight (ultra tier: 10 at a time)
+  assert.deepEqual(completedPairs(dataDir), ['GB->CN', 'GB->IE', 'GB->JP', 'GB->TH']);
+  assert.equal(readRules(dataDir).GB.BR, undefined);
+  assert.equal(readRules(dataDir).GB.CN.requirement, 'visa-required');
+});
+
+test('full-load with --concurrency 1 starts nothing after a rate limit', (t) => {
+  const dataDir = createDataDir(t);
+  const limited = { passport: 'GB', destination: 'BR', status: 429, body: { message: 'Too many requests' } };
+  // Any request for another pair would fail the run
+  const cassette = writeCassette(path.join(dataDir, 'limited.jsonl'), [limited, limited, limited, limited]);
+  const { status, stderr } = fullLoad(dataDir, cassette, '--concurrency', '1');
+  assert.equal(status, 0, stderr);
+  assert.deepEqual(completedPairs(dataDir), ['GB->IE']);
+});
+
+test('full-load checkpoints replace the run\'s delta instead of adding one each', (t) => {
+  const dataDir = createDataDir(t);
+  const { status, stderr } = fullLoad(dataDir, writeCassette(path.join(dataDir, 'all.jsonl'), Object.values(ANSWERS)), '--save-interval', '1');
+  assert.equal(status, 0, stderr);
+
+  const published = readJson(dataDir, 'visa-rules.json');
+  const { deltas } = readJson(dataDir, 'version.json');
+  assert.deepEqual(deltas.map(({ from, to }) => [from, to]), [[1, published.dataVersion]]);
+  assert.deepEqual(fs.readdirSync(path.join(dataDir, 'deltas')), [path.basename(deltas[0].path)]);
+
+  // A client still on the fixture's version catches up in one step
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, 'visa-rules.json'), 'utf8'));
+  assert.deepEqual(applyDelta(fixture, readJson(dataDir, deltas[0].path)), published);
+});
+
+test('full-load keeps the delta of every checkpoint it commits', (t) => {
+  const dataDir = createDataDir(t);
+  const cassette = writeCassette(path.join(dataDir, 'all.jsonl'), Object.values(ANSWERS));
+  const git = (...args) => execFileSync('git', args, { cwd: dataDir, encoding: 'utf8', env: GIT_ENV });
+  git('init', '--quiet');
+  git('add', '.');
+  git('commit', '--quiet', '-m', 'fixture');
+
+  // Saves after every request, commits after every second one (the push fails: no remote)
+  const { status, stderr } = runCli(dataDir, [
+    'full-load', '--replay', cassette, '--passports', 'GB', '--destinations', 'BR,CN,IE,JP,TH',
+    '--save-interval', '1', '--commit-interval', '2', '--concurrency', '1',
+  ], GIT_ENV);
+  assert.equal(status, 0, stderr);
+
+  // A client on any committed version can move forward along the chain
+  const committed = git('log', '--format=%H').trim().split('\n').reverse()
+    .map(commit => JSON.parse(git('show', `${commit}:visa-rules.json`)).dataVersion);
+  const { deltas } = readJson(dataDir, 'version.json');
+  assert.deepEqual(deltas.map(({ from }) => from), committed.slice(0, -1));
+  assert.deepEqual(deltas.map(({ to }) => to), committed.slice(1));
+  assert.equal(committed.at(-1), readJson(dataDir, 'visa-rules.json').dataVersion);
+});
@@ -0,0 +1,111 @@
+/**
+ * Test Helpers - temp data directories, CLI runs and cassettes
+ *
+ * Commands run as child processes against a copy of test/fixtures/ (via
+ * BORDERWISE_DATA_DIR), never against data/. API commands answer from a
+ * cassette written by writeCassette (see lib/cassette.js), so no test
+ * touches the network or needs RAPIDAPI_KEY.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { API_URL } = require('../scripts/lib/providers/rapidapi');
+
+const ROOT = path.join(__dirname, '..');
+const CLI = path.join(ROOT, 'scripts', 'borderwise.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+const DEFAULT_FIXTURES = ['visa-rules.json', 'passport-index-iso2.csv'];
+
+/**
+ * A fresh temp data directory holding copies of the named fixtures,
+ * removed when the test ends
+ */
+function createDataDir(t, fixtures = DEFAULT_FIXTURES) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'borderwise-test-'));
+  for (const name of fixtures) {
+    fs.copyFileSync(path.join(FIXTURES, name), path.join(dataDir, name));
+  }
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+/**
+ * Run `borderwise <args>` on a data directory. Returns { status, stdout, stderr }.
+ */
+function runCli(dataDir, args, env = {}) {
+  const childEnv = { ...process.env, BORDERWISE_DATA_DIR: dataDir, ...env };
+  delete childEnv.RAPIDAPI_KEY;
+  delete childEnv.BORDERWISE_PROVIDER;
+  const result = spawnSync(process.execPath, [CLI, ...args], {
+    cwd: ROOT,
+    env: childEnv,
+    encoding: 'utf8',
+    timeout: 60000,
+  });
+  if (result.error) throw result.error;
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function readJson(dataDir, name) {
+  return JSON.parse(fs.readFileSync(path.join(dataDir, name), 'utf8'));
+}
+
+function readRules(dataDir) {
+  return readJson(dataDir, 'visa-rules.json').rules;
+}
+
+function writeJson(dataDir, name, value) {
+  fs.writeFileSync(path.join(dataDir, name), JSON.stringify(value, null, 2));
+}
+
+// When every cassette response was recorded, unless an exchange says otherwise
+const RECORDED_AT = '2026-02-01T00:00:00.000Z';
+
+/**
+ * Write a RapidAPI cassette. Each exchange is
+ *   { passport, destination, status, body, recordedAt? } - body is an object or raw text
+ *   { passport, destination, error }                     - network error message
+ */
+function writeCassette(filePath, exchanges) {
+  const lines = exchanges.map(({ passport, destination, status, body, error, recordedAt = RECORDED_AT }) => {
+    const request = {
+      method: 'POST',
+      url: API_URL,
+      body: new URLSearchParams({ passport, destination }).toString(),
+    };
+    if (error) return JSON.stringify({ request, error: { name: 'TypeError', message: error } });
+    return JSON.stringify({
+      request,
+      response: {
+        status,
+        headers: { 'content-type': 'application/json' },
+        body: typeof body === 'string' ? body : JSON.stringify(body),
+      },
+      recordedAt,
+    });
+  });
+  fs.writeFileSync(filePath, lines.join('\n') + '\n');
+  return filePath;
+}
+
+/**
+ * An 'ok' exchange with the API's own wording
+ */
+function answer(passport, destination, requirement, duration = null) {
+  return { passport, destination, status: 200, body: { requirement, duration } };
+}
+
+module.exports = {
+  FIXTURES,
+  RECORDED_AT,
+  answer,
+  createDataDir,
+  readJson,
+  readRules,
+  runCli,
+  writeCassette,
+  writeJson,
+};
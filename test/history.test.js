@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffRules } = require('../scripts/lib/diff');
+const { appendHistory, buildHistoryRecords, readHistory, timeline } = require('../scripts/lib/history');
+
+const AT = '2026-03-01T00:00:00.000Z';
+
+function entry(requirement, duration, lastChecked = '2026-02-01T00:00:00.000Z') {
+  return { requirement, duration, stay: null, source: 'rapidapi', lastChecked, confidence: 0.9, notes: 'ignored' };
+}
+
+function tempDataDir(t) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'borderwise-history-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+  return dataDir;
+}
+
+test('buildHistoryRecords keeps only the fields the history tracks', () => {
+  const before = { rules: { GB: { TH: entry('visa-free', 30) } } };
+  const after = { rules: { GB: { TH: entry('visa-required', null), JP: entry('visa-free', 90) } } };
+  const records = buildHistoryRecords(diffRules(before, after), AT);
+
+  assert.deepEqual(records, [
+    {
+      at: AT,
+      passport: 'GB',
+      destination: 'TH',
+      change: 'requirement',
+      from: { requirement: 'visa-free', duration: 30, stay: null, source: 'rapidapi', lastChecked: '2026-02-01T00:00:00.000Z' },
+      to: { requirement: 'visa-required', duration: null, stay: null, source: 'rapidapi', lastChecked: '2026-02-01T00:00:00.000Z' },
+    },
+    {
+      at: AT,
+      passport: 'GB',
+      destination: 'JP',
+      change: 'added',
+      from: null,
+      to: { requirement: 'visa-free', duration: 90, stay: null, source: 'rapidapi', lastChecked: '2026-02-01T00:00:00.000Z' },
+    },
+  ]);
+});
+
+test('appendHistory writes one file per passport and readHistory reads it back', (t) => {
+  const dataDir = tempDataDir(t);
+  const records = buildHistoryRecords(diffRules(null, {
+    rules: { GB: { TH: entry('visa-free', 30) }, US: { TH: entry('visa-free', 30) } },
+  }), AT);
+
+  appendHistory(dataDir, records);
+  appendHistory(dataDir, []);
+  assert.deepEqual(fs.readdirSync(path.join(dataDir, 'history')).sort(), ['GB.jsonl', 'US.jsonl']);
+  assert.deepEqual(readHistory(dataDir, 'GB'), [records[0]]);
+  assert.deepEqual(readHistory(dataDir, 'FR'), []);
+});
+
+test('readHistory skips a line torn by a kill', (t) => {
+  const dataDir = tempDataDir(t);
+  const [record] = buildHistoryRecords(diffRules(null, { rules: { GB: { TH: entry('visa-free', 30) } } }), AT);
+  appendHistory(dataDir, [record]);
+  fs.appendFileSync(path.join(dataDir, 'history', 'GB.jsonl'), '{"at":"2026-');
+  assert.deepEqual(readHistory(dataDir, 'GB'), [record]);
+});
+
+test('timeline gives one pair\'s records without repeats of the same change', () => {
+  const added = { at: '1', passport: 'GB', destination: 'TH', change: 'added', from: null, to: { requirement: 'visa-free' } };
+  const changed = { at: '2', passport: 'GB', destination: 'TH', change: 'requirement', from: { requirement: 'visa-free' }, to: { requirement: 'e-visa' } };
+  const other = { at: '2', passport: 'GB', destination: 'JP', change: 'added', from: null, to: { requirement: 'visa-free' } };
+  // A save killed after appending repeats its records on the next save
+  const repeat = { ...changed, at: '3' };
+
+  assert.deepEqual(timeline([added, other, changed, repeat], 'TH'), [added, changed]);
+});
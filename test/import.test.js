@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { assertValid } = require('../scripts/lib/schema');
+const { createDataDir, readJson, readRules, runCli } = require('./helpers');
+
+test('import fills missing and unknown pairs from the dataset', (t) => {
+  const dataDir = createDataDir(t);
+  const { status, stdout } = runCli(dataDir, ['import']);
+  assert.equal(status, 0, stdout);
+
+  const rules = readRules(dataDir);
+  assert.equal(rules.US.TH.requirement, 'visa-free');
+  assert.equal(rules.US.TH.duration, 30);
+  assert.equal(rules.US.TH.source, 'passport-index');
+  assert.equal(rules.US.BR.requirement, 'e-visa');
+  assert.equal(rules.GB.BR.duration, 90);
+  assert.equal(rules.GB.CN.requirement, 'visa-required');
+  assert.equal(rules.GB.GB.requirement, 'home-country');
+  assert.equal(rules.GB.BR.provenance.requirement.raw, '90');
+  assertValid('visa-rules', readJson(dataDir, 'visa-rules.json'));
+});
+
+test('import never overwrites existing answers', (t) => {
+  const dataDir = createDataDir(t);
+  const before = readRules(dataDir);
+  const { stdout } = runCli(dataDir, ['import']);
+  const rules = readRules(dataDir);
+
+  // The dataset says visa required for GB->TH; the API answer stays
+  assert.equal(rules.GB.TH.requirement, before.GB.TH.requirement);
+  assert.equal(rules.GB.TH.source, 'rapidapi');
+  assert.equal(rules.GB.IE.requirement, 'freedom-of-movement');
+  assert.equal(rules.GB.JP.lastChecked, null);
+  assert.match(stdout, /Preserved \(existing good data\): 3/);
+
+  const decisions = fs.readFileSync(path.join(dataDir, 'merge-log.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const gbTh = decisions.find(record => record.passport === 'GB' && record.destination === 'TH');
+  assert.equal(gbTh.accepted, false);
+  assert.equal(gbTh.reason, 'fill-only-source');
+});
+
+test('import skips unrecognised dataset values', (t) => {
+  const dataDir = createDataDir(t);
+  const { stdout } = runCli(dataDir, ['import']);
+  assert.match(stdout, /Skipped \(invalid\): 1/);
+  assert.equal(readRules(dataDir).US.CN, undefined);
+});
+
+test('import writes nothing when no row is accepted', (t) => {
+  const dataDir = createDataDir(t);
+  runCli(dataDir, ['import']);
+  const before = fs.readFileSync(path.join(dataDir, 'visa-rules.json'), 'utf8');
+  const log = fs.readFileSync(path.join(dataDir, 'merge-log.jsonl'), 'utf8');
+  const deltas = fs.readdirSync(path.join(dataDir, 'deltas'));
+
+  // Every row is already in: nothing new, so no new dataVersion or delta
+  const { status, stdout } = runCli(dataDir, ['import']);
+  assert.equal(status, 0, stdout);
+  assert.match(stdout, /Imported \(new\/fixed\): 0/);
+  assert.match(stdout, /No changes - nothing written/);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'visa-rules.json'), 'utf8'), before);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'merge-log.jsonl'), 'utf8'), log);
+  assert.deepEqual(fs.readdirSync(path.join(dataDir, 'deltas')), deltas);
+});
+
+test('import --dry-run writes nothing', (t) => {
+  const dataDir = createDataDir(t);
+  const before = fs.readFileSync(path.join(dataDir, 'visa-rules.json'), 'utf8');
+  const { status, stdout } = runCli(dataDir, ['import', '--dry-run']);
+  assert.equal(status, 0, stdout);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'visa-rules.json'), 'utf8'), before);
+  assert.equal(fs.existsSync(path.join(dataDir, 'merge-log.jsonl')), false);
+});
+
+test('import rejects a malformed dataset without writing', (t) => {
+  const dataDir = createDataDir(t);
+  const csvPath = path.join(dataDir, 'broken.csv');
+  fs.writeFileSync(csvPath, 'Passport,Destination,Requirement\nGB,TH\n');
+  const before = fs.readFileSync(path.join(dataDir, 'visa-rules.json'), 'utf8');
+
+  const { status, stderr } = runCli(dataDir, ['import', '--csv', csvPath]);
+  assert.equal(status, 1);
+  assert.match(stderr, /is not valid CSV/);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'visa-rules.json'), 'utf8'), before);
+});
+
+test('convert replaces the rules with the whole dataset', (t) => {
+  const dataDir = createDataDir(t);
+  const { status, stdout } = runCli(dataDir, ['convert', '--csv', path.join(dataDir, 'passport-index-iso2.csv')]);
+  assert.equal(status, 0, stdout);
+
+  const rules = readRules(dataDir);
+  assert.equal(rules.GB.TH.requirement, 'visa-required');
+  assert.equal(rules.GB.TH.source, 'passport-index');
+  assert.equal(rules.GB.IE.requirement, 'freedom-of-movement');
+  assert.deepEqual(Object.keys(rules).sort(), ['GB', 'US']);
+  assertValid('visa-rules', readJson(dataDir, 'visa-rules.json'));
+});
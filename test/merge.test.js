@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeEntry } = require('../scripts/lib/merge');
+
+const NOW = Date.parse('2026-06-01T00:00:00.000Z');
+
+function entry(requirement, source, lastChecked = '2026-05-01T00:00:00.000Z', duration = 30) {
+  return { requirement, duration, stay: null, lastChecked, source };
+}
+
+function decide(existing, incoming) {
+  return mergeEntry(existing, incoming, { now: NOW });
+}
+
+test('an unknown answer never replaces anything', () => {
+  for (const existing of [undefined, entry('visa-free', 'rapidapi'), entry('unknown', 'legacy', null)]) {
+    const decision = decide(existing, entry('unknown', 'rapidapi'));
+    assert.equal(decision.accepted, false);
+    assert.equal(decision.reason, 'unknown-answer');
+    assert.equal(decision.entry, null);
+  }
+});
+
+test('new pairs and unknown entries are filled by any source', () => {
+  assert.equal(decide(undefined, entry('e-visa', 'passport-index', null)).reason, 'new-pair');
+  assert.equal(decide(entry('unknown', 'legacy', null), entry('e-visa', 'passport-index', null)).reason, 'replaces-unknown');
+});
+
+test('the passport-index dataset never overwrites good data', () => {
+  for (const source of ['rapidapi', 'rapidapi-pro', 'legacy', 'passport-index']) {
+    const decision = decide(entry('visa-free', source), entry('visa-required', 'passport-index', null));
+    assert.equal(decision.accepted, false, source);
+    assert.equal(decision.reason, 'fill-only-source');
+  }
+});
+
+test('canned mock answers only fill gaps, and API and legacy answers replace them', () => {
+  for (const source of ['rapidapi', 'legacy', 'passport-index']) {
+    assert.equal(decide(entry('visa-free', source), entry('visa-required', 'mock')).reason, 'fill-only-source', source);
+    assert.equal(decide(entry('visa-required', 'mock'), entry('visa-free', source, null)).accepted, source !== 'passport-index', source);
+  }
+  assert.equal(decide(undefined, entry('visa-free', 'mock')).reason, 'new-pair');
+});
+
+test('home country and free movement are held against every source', () => {
+  const held = entry('freedom-of-movement', 'rapidapi', '2026-01-01T00:00:00.000Z', null);
+  const decision = decide(held, entry('visa-required', 'rapidapi', '2026-05-30T00:00:00.000Z'));
+  assert.equal(decision.accepted, false);
+  assert.equal(decision.reason, 'registry-status-held');
+});
+
+test('a registry status replaces a plain answer', () => {
+  const decision = decide(entry('visa-free', 'rapidapi'), entry('home-country', 'passport-index', null, null));
+  assert.equal(decision.accepted, true);
+  assert.equal(decision.reason, 'registry-status');
+});
+
+test('API answers outrank legacy data, which only wins back once the API answer is stale', () => {
+  assert.equal(decide(entry('visa-free', 'legacy'), entry('e-visa', 'rapidapi')).reason, 'higher-precedence');
+
+  const recent = decide(entry('visa-free', 'rapidapi', '2026-05-01T00:00:00.000Z'), entry('e-visa', 'legacy'));
+  assert.equal(recent.accepted, false);
+  assert.equal(recent.reason, 'lower-precedence');
+
+  const stale = decide(entry('visa-free', 'rapidapi', '2025-01-01T00:00:00.000Z'), entry('e-visa', 'legacy'));
+  assert.equal(stale.accepted, true);
+  assert.equal(stale.reason, 'replaces-stale');
+});
+
+test('between equal sources the newer observation wins', () => {
+  const existing = entry('visa-free', 'rapidapi', '2026-05-01T00:00:00.000Z');
+  assert.equal(decide(existing, entry('e-visa', 'rapidapi-pro', '2026-05-20T00:00:00.000Z')).reason, 'newer-observation');
+
+  const older = decide(existing, entry('e-visa', 'rapidapi-pro', '2026-04-01T00:00:00.000Z'));
+  assert.equal(older.accepted, false);
+  assert.equal(older.reason, 'older-observation');
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { generateRefreshQueue } = require('../scripts/commands/pro-refresh');
+const { answer, createDataDir, readRules, runCli, writeCassette } = require('./helpers');
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function entry(lastChecked, confidence, requirement = 'visa-free') {
+  return { requirement, duration: 30, stay: null, lastChecked, source: 'rapidapi', confidence };
+}
+
+const OPTIONS = { freshDays: 30, staleDays: 60 };
+
+test('generateRefreshQueue sorts priority passports, then least confident, then oldest', () => {
+  const data = {
+    rules: {
+      // MN is not a priority passport
+      MN: { TH: entry(daysAgo(400), 0.3) },
+      GB: {
+        TH: entry(daysAgo(40), 0.8),
+        JP: entry(daysAgo(90), 0.8),
+        BR: entry(daysAgo(35), 0.5),
+        CN: entry(daysAgo(5), 0.1),
+        IE: entry(daysAgo(400), 1, 'freedom-of-movement'),
+      },
+    },
+  };
+
+  const { queue, stats } = generateRefreshQueue(data, {
+    ...OPTIONS,
+    passports: ['GB', 'MN'],
+    destinations: ['TH', 'JP', 'BR', 'CN', 'IE'],
+  });
+
+  assert.deepEqual(queue.map(item => `${item.passport}->${item.destination} ${item.category}`), [
+    'GB->BR stale',
+    'GB->JP critical',
+    'GB->TH stale',
+    'MN->JP missing',
+    'MN->BR missing',
+    'MN->CN missing',
+    'MN->IE missing',
+    'MN->TH critical',
+  ]);
+  assert.deepEqual(stats, { total: 10, fresh: 1, stale: 2, critical: 2, missing: 4, settled: 1 });
+});
+
+test('generateRefreshQueue scores entries saved before confidence existed', () => {
+  const legacy = { requirement: 'visa-free', duration: 30, stay: null, lastChecked: daysAgo(100), source: 'legacy' };
+  const { queue } = generateRefreshQueue({ rules: { GB: { TH: legacy } } }, {
+    ...OPTIONS,
+    passports: ['GB'],
+    destinations: ['TH'],
+  });
+  assert.equal(queue.length, 1);
+  assert.ok(queue[0].confidence > 0 && queue[0].confidence < 1);
+});
+
+test('pro-refresh stops on a persistent rate limit and keeps what it fetched', (t) => {
+  const dataDir = createDataDir(t);
+  const rateLimited = { passport: 'GB', destination: 'TH', status: 429, body: { message: 'Too many requests' } };
+  const cassette = writeCassette(path.join(dataDir, 'pro.jsonl'), [
+    answer('GB', 'JP', 'Visa Free', '90 days'),
+    // First try and three retries
+    rateLimited, rateLimited, rateLimited, rateLimited,
+  ]);
+
+  const { status, stdout, stderr } = runCli(dataDir, [
+    'pro-refresh', '--replay', cassette, '--passports', 'GB', '--destinations', 'JP,TH',
+  ]);
+  assert.equal(status, 0, stderr);
+  assert.match(stdout, /Rate limit persists after 3 retries/);
+
+  const rules = readRules(dataDir);
+  assert.equal(rules.GB.JP.source, 'rapidapi-pro');
+  assert.equal(rules.GB.JP.duration, 90);
+  assert.equal(rules.GB.TH.source, 'rapidapi');
+  assert.equal(rules.GB.TH.lastChecked, '2026-01-01T00:00:00.000Z');
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { getPairsToUpdate } = require('../scripts/commands/refresh');
+const { RECORDED_AT, answer, createDataDir, readJson, readRules, runCli, writeCassette } = require('./helpers');
+
+const FIXTURE_RULES = require('./fixtures/visa-rules.json');
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+test('getPairsToUpdate puts missing and unknown pairs first, then untracked, then oldest', () => {
+  const lifecycle = { lastUpdates: { GB: { TH: daysAgo(100), BR: daysAgo(10) }, US: { JP: daysAgo(45) } } };
+  const data = structuredClone(FIXTURE_RULES);
+  data.rules.GB.BR = { ...data.rules.GB.JP };
+  data.rules.US.JP = { ...data.rules.GB.JP };
+
+  const pairs = getPairsToUpdate(data, lifecycle, {
+    passports: ['GB', 'US'],
+    destinations: ['GB', 'TH', 'JP', 'BR', 'IE'],
+    skipDays: 30,
+  });
+
+  // Ties keep the passport / destination order
+  assert.deepEqual(pairs.map(p => `${p.passport}->${p.destination} (${p.reason})`), [
+    'US->GB (missing/unknown)',
+    'US->TH (missing/unknown)',
+    'US->BR (missing/unknown)',
+    'US->IE (missing/unknown)',
+    'GB->JP (no update record)',
+    'US->JP (45 days old)',
+    'GB->TH (100 days old)',
+  ]);
+});
+
+test('getPairsToUpdate skips recent, same-country and settled pairs', () => {
+  const lifecycle = { lastUpdates: { GB: { TH: daysAgo(5) } } };
+  const pairs = getPairsToUpdate(FIXTURE_RULES, lifecycle, {
+    passports: ['GB'],
+    destinations: ['GB', 'TH', 'IE'],
+    skipDays: 30,
+  });
+  assert.deepEqual(pairs, []);
+});
+
+test('refresh keeps existing data through errors and stops on an exhausted quota', (t) => {
+  const dataDir = createDataDir(t);
+  const cassette = writeCassette(path.join(dataDir, 'refresh.jsonl'), [
+    answer('GB', 'BR', 'ask again later'),
+    { passport: 'US', destination: 'TH', error: 'fetch failed' },
+    answer('US', 'TH', 'Visa Free', '30 days'),
+    { passport: 'US', destination: 'JP', status: 500, body: { message: 'Internal error' } },
+    answer('US', 'BR', 'eVisa', '90 days'),
+    { passport: 'GB', destination: 'TH', status: 429, body: { message: 'You have exceeded the MONTHLY quota' } },
+    // GB->JP is never asked for: the run stops at the quota message
+  ]);
+
+  const { status, stdout, stderr } = runCli(dataDir, [
+    'refresh', '--replay', cassette, '--passports', 'GB,US', '--destinations', 'TH,JP,BR',
+  ]);
+  assert.equal(status, 0, stderr);
+  assert.match(stdout, /Updated: 2/);
+  assert.match(stdout, /Skipped: 2/);
+  assert.match(stdout, /Stopped early: YES/);
+
+  const rules = readRules(dataDir);
+  assert.deepEqual(rules.GB.TH, { ...FIXTURE_RULES.rules.GB.TH, confidence: rules.GB.TH.confidence });
+  assert.equal(rules.GB.BR, undefined);
+  assert.equal(rules.US.JP, undefined);
+  assert.equal(rules.US.TH.requirement, 'visa-free');
+  assert.equal(rules.US.TH.duration, 30);
+  assert.equal(rules.US.BR.requirement, 'e-visa');
+  // Replayed answers keep the time they were recorded, and are not archived as new fetches
+  assert.equal(rules.US.TH.lastChecked, RECORDED_AT);
+  assert.equal(fs.existsSync(path.join(dataDir, 'raw')), false);
+
+  assert.deepEqual(Object.keys(readJson(dataDir, 'lifecycle.json').lastUpdates.US).sort(), ['BR', 'TH']);
+  // A replay spends no quota
+  assert.equal(fs.existsSync(path.join(dataDir, 'quota-ledger.json')), false);
+});
+
+test('refresh writes nothing when every request fails', (t) => {
+  const dataDir = createDataDir(t);
+  const before = fs.readFileSync(path.join(dataDir, 'visa-rules.json'), 'utf8');
+  const cassette = writeCassette(path.join(dataDir, 'refresh.jsonl'), [
+    { passport: 'US', destination: 'TH', status: 200, body: 'not json' },
+  ]);
+
+  const { status, stdout } = runCli(dataDir, [
+    'refresh', '--replay', cassette, '--passports', 'US', '--destinations', 'TH',
+  ]);
+  assert.equal(status, 0);
+  assert.match(stdout, /No updates made - existing data preserved/);
+  assert.equal(fs.readFileSync(path.join(dataDir, 'visa-rules.json'), 'utf8'), before);
+});
+
+test('refresh fails when the run asks for a pair the cassette never recorded', (t) => {
+  const dataDir = createDataDir(t);
+  const cassette = writeCassette(path.join(dataDir, 'refresh.jsonl'), []);
+  const { status, stderr } = runCli(dataDir, [
+    'refresh', '--replay', cassette, '--passports', 'US', '--destinations', 'TH',
+  ]);
+  assert.equal(status, 1);
+  assert.match(stderr, /no recorded response left for .*passport=US&destination=TH/);
+});
+
+test('the API commands need a key unless replaying', (t) => {
+  const dataDir = createDataDir(t);
+  const { status, stderr } = runCli(dataDir, ['refresh', '--passports', 'US', '--destinations', 'TH']);
+  assert.equal(status, 1);
+  assert.match(stderr, /RAPIDAPI_KEY environment variable is not set/);
+});
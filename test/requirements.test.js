@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  classifyDatasetValue,
+  classifyRequirement,
+  isSettled,
+  settleRequirement,
+  tokenize,
+} = require('../scripts/lib/requirements');
+const corpus = require('../scripts/lib/requirement-corpus.json');
+
+test('classifyRequirement passes the regression corpus', () => {
+  const failures = corpus
+    .filter(({ text, expected }) => classifyRequirement(text) !== expected)
+    .map(({ text, expected }) => `"${text}": expected ${expected}, got ${classifyRequirement(text)}`);
+  assert.deepEqual(failures, []);
+});
+
+test('classifyRequirement reads API and dataset wording', () => {
+  assert.equal(classifyRequirement('Visa Free'), 'visa-free');
+  assert.equal(classifyRequirement('Visa on Arrival'), 'visa-on-arrival');
+  assert.equal(classifyRequirement('eVisa'), 'e-visa');
+  assert.equal(classifyRequirement('Electronic Travel Authorization'), 'eta');
+  assert.equal(classifyRequirement('Visa Required'), 'visa-required');
+  assert.equal(classifyRequirement('No visa required'), 'visa-free');
+  assert.equal(classifyRequirement('90'), 'visa-free');
+  assert.equal(classifyRequirement('-1'), 'home-country');
+});
+
+test('classifyRequirement keeps negation inside its clause', () => {
+  assert.deepEqual(tokenize('Visa required (no eVisa)'), ['visa', 'required', '|', 'no', 'EVISA']);
+  assert.equal(classifyRequirement('Visa required (visa on arrival not available)'), 'visa-required');
+  assert.equal(classifyRequirement('eVisa not available, visa required'), 'visa-required');
+  assert.equal(classifyRequirement('Visa required, cannot use eTA'), 'visa-required');
+  assert.equal(classifyRequirement('Visa not required (90 days)'), 'visa-free');
+});
+
+test('classifyRequirement reads "free" as visa-free only next to "visa"', () => {
+  assert.equal(classifyRequirement('Visa: free'), 'visa-free');
+  assert.equal(classifyRequirement('Visa required. Free of charge'), 'visa-required');
+  assert.equal(classifyRequirement('Visa free of charge'), 'visa-required');
+});
+
+test('classifyRequirement returns unknown for missing or unreadable text', () => {
+  assert.equal(classifyRequirement(null), 'unknown');
+  assert.equal(classifyRequirement(undefined), 'unknown');
+  assert.equal(classifyRequirement(''), 'unknown');
+  assert.equal(classifyRequirement('see website'), 'unknown');
+});
+
+test('settleRequirement settles home country and free movement pairs', () => {
+  assert.equal(settleRequirement('GB', 'GB', 'visa-required').requirement, 'home-country');
+
+  const { requirement, area } = settleRequirement('GB', 'IE', 'visa-free');
+  assert.equal(requirement, 'freedom-of-movement');
+  assert.equal(area.name, 'Common Travel Area');
+
+  // Only a visa-free answer becomes free movement
+  assert.deepEqual(settleRequirement('GB', 'IE', 'e-visa'), { requirement: 'e-visa', area: null });
+  assert.deepEqual(settleRequirement('GB', 'TH', 'visa-free'), { requirement: 'visa-free', area: null });
+});
+
+test('classifyDatasetValue keeps stated stays and marks assumed ones', () => {
+  assert.deepEqual(classifyDatasetValue('GB', 'JP', '90'), {
+    requirement: 'visa-free',
+    duration: 90,
+    notes: null,
+    bases: { requirement: 'observed', duration: 'observed' },
+  });
+  assert.deepEqual(classifyDatasetValue('GB', 'BR', 'visa free'), {
+    requirement: 'visa-free',
+    duration: 90,
+    notes: null,
+    bases: { requirement: 'observed', duration: 'assumed' },
+  });
+  assert.equal(classifyDatasetValue('GB', 'CN', 'visa required').duration, null);
+  assert.equal(classifyDatasetValue('US', 'US', '-1').requirement, 'home-country');
+  assert.equal(classifyDatasetValue('GB', 'IE', 'visa free').requirement, 'freedom-of-movement');
+});
+
+test('classifyDatasetValue returns null for unrecognised values', () => {
+  assert.equal(classifyDatasetValue('US', 'CN', 'not-a-requirement'), null);
+  assert.equal(classifyDatasetValue('US', 'CN', ''), null);
+});
+
+test('isSettled is true only for answers no refresh needs to ask about', () => {
+  assert.equal(isSettled({ requirement: 'no-admission' }), true);
+  assert.equal(isSettled({ requirement: 'home-country' }), true);
+  assert.equal(isSettled({ requirement: 'freedom-of-movement' }), true);
+  assert.equal(isSettled({ requirement: 'visa-free' }), false);
+  assert.equal(isSettled(undefined), false);
+});
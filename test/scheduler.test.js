@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createScheduler } = require('../scripts/lib/scheduler');
+const { sleep } = require('../scripts/lib/visa-client');
+
+// Timers may fire a little early or late; only lower bounds are asserted
+const SLACK_MS = 5;
+
+test('requests are spaced at least 1/rate apart, however many wait', async () => {
+  const scheduler = createScheduler({ requestsPerSecond: 20, concurrency: 5 });
+  const sentAt = [];
+  await Promise.all(Array.from({ length: 6 }, async () => {
+    await scheduler.acquire();
+    sentAt.push(Date.now());
+  }));
+
+  for (let i = 1; i < sentAt.length; i++) {
+    assert.ok(sentAt[i] - sentAt[i - 1] >= 50 - SLACK_MS, `gap ${i}: ${sentAt[i] - sentAt[i - 1]}ms`);
+  }
+});
+
+test('forEach keeps at most `concurrency` items in flight, in order', async () => {
+  const scheduler = createScheduler({ concurrency: 3 });
+  let inFlight = 0;
+  let peak = 0;
+  const started = [];
+  await scheduler.forEach([1, 2, 3, 4, 5, 6, 7], async (item) => {
+    started.push(item);
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(10);
+    inFlight--;
+  });
+  assert.equal(peak, 3);
+  assert.deepEqual(started, [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('pause holds every caller', async () => {
+  const scheduler = createScheduler({ concurrency: 4 });
+  const pausedAt = Date.now();
+  scheduler.pause(80);
+  scheduler.pause(20); // a shorter pause never cuts a longer one short
+  const waited = await Promise.all([1, 2, 3].map(async () => {
+    await scheduler.acquire();
+    return Date.now() - pausedAt;
+  }));
+  for (const ms of waited) assert.ok(ms >= 80 - SLACK_MS, `waited ${ms}ms`);
+});
+
+test('stop starts nothing new but lets items in flight finish', async () => {
+  const scheduler = createScheduler({ concurrency: 2 });
+  const finished = [];
+  await scheduler.forEach(['a', 'b', 'c', 'd'], async (item) => {
+    await sleep(item === 'a' ? 5 : 20);
+    if (item === 'a') scheduler.stop();
+    finished.push(item);
+  });
+  assert.deepEqual(finished.sort(), ['a', 'b']);
+});
+
+test('a failing item is rethrown after the items in flight finish', async () => {
+  const scheduler = createScheduler({ concurrency: 3 });
+  const finished = [];
+  await assert.rejects(scheduler.forEach([1, 2, 3, 4], async (item) => {
+    if (item === 1) throw new Error('boom');
+    await sleep(10);
+    finished.push(item);
+  }), /boom/);
+  assert.deepEqual(finished, [2, 3]);
+});
+
+test('describe and estimateMinutes report the configured rate', () => {
+  assert.equal(createScheduler({ requestsPerSecond: 9, concurrency: 10 }).describe(), '9 requests/sec, 10 pairs at a time');
+  assert.equal(createScheduler({ requestsPerSecond: 0 }).describe(), 'no rate limit, 1 pair at a time');
+  assert.equal(createScheduler({ requestsPerSecond: 9 }).estimateMinutes(28000), 52);
+  assert.equal(createScheduler().estimateMinutes(28000), 0);
+});
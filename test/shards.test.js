@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildShards, serializeShard, sha256, writeShards } = require('../scripts/lib/shards');
+
+const TH = { requirement: 'visa-free', duration: 30, source: 'rapidapi' };
+const JP = { requirement: 'visa-free', duration: 90, source: 'rapidapi' };
+
+function rules(lastUpdated, rulesByPassport) {
+  return { version: '3.0.0', lastUpdated, dataVersion: 1, rules: rulesByPassport };
+}
+
+test('buildShards gives every passport a file and a hashed index entry', () => {
+  const { index, files, changed, removed } = buildShards(rules('2026-01-01', { US: { TH }, GB: { TH, JP } }), null);
+
+  assert.deepEqual(Object.keys(index.shards), ['GB', 'US']);
+  const content = serializeShard('GB', { TH, JP });
+  assert.equal(files['passports/GB.json'], content);
+  assert.deepEqual(index.shards.GB, {
+    path: 'passports/GB.json',
+    sha256: sha256(content),
+    size: Buffer.byteLength(content),
+    rules: 2,
+    lastUpdated: '2026-01-01',
+  });
+  assert.deepEqual(changed, ['passports/GB.json', 'passports/US.json']);
+  assert.deepEqual(removed, []);
+});
+
+test('an unchanged shard keeps its lastUpdated; removed passports are listed', () => {
+  const first = buildShards(rules('2026-01-01', { GB: { TH }, US: { TH }, FR: { JP } }), null);
+  const second = buildShards(rules('2026-02-01', { GB: { TH }, US: { TH, JP } }), first.index);
+
+  assert.equal(second.index.shards.GB.lastUpdated, '2026-01-01');
+  assert.equal(second.index.shards.US.lastUpdated, '2026-02-01');
+  assert.deepEqual(second.changed, ['passports/US.json']);
+  assert.deepEqual(second.removed, ['passports/FR.json']);
+});
+
+test('writeShards writes changed and missing shards and deletes removed ones', (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'borderwise-shards-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  const first = buildShards(rules('2026-01-01', { GB: { TH }, FR: { JP } }), null);
+  writeShards(dataDir, first);
+  const second = buildShards(rules('2026-02-01', { GB: { TH } }), first.index);
+  writeShards(dataDir, second);
+
+  assert.deepEqual(fs.readdirSync(path.join(dataDir, 'passports')).sort(), ['GB.json', 'index.json']);
+  const written = fs.readFileSync(path.join(dataDir, 'passports', 'GB.json'), 'utf8');
+  assert.equal(sha256(written), second.index.shards.GB.sha256);
+});
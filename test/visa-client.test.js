@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createVisaClient } = require('../scripts/lib/visa-client');
+const { API_URL, createRapidApiProvider } = require('../scripts/lib/providers/rapidapi');
+const { createProvider } = require('../scripts/lib/providers');
+const { FIXTURES } = require('./helpers');
+
+/**
+ * A provider that serves the given responses in order (last one repeats)
+ */
+function scriptedProvider(responses) {
+  const calls = [];
+  return {
+    id: 'rapidapi',
+    name: 'rapidapi',
+    archived: true,
+    calls,
+    async fetchPair(passport, destination) {
+      calls.push(`${passport}->${destination}`);
+      return responses[Math.min(calls.length - 1, responses.length - 1)];
+    },
+  };
+}
+
+function quietClient(provider, options = {}) {
+  return createVisaClient({ provider, baseDelayMs: 0, log: () => {}, ...options });
+}
+
+function ok(requirement, duration = null) {
+  return { status: 'ok', data: { requirement, duration, notes: null }, raw: { requirement, duration } };
+}
+
+/**
+ * fetch() answering with one status and body, recording the requests it got
+ */
+function fakeFetch(status, body) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, init });
+    return new Response(typeof body === 'string' ? body : JSON.stringify(body), { status });
+  };
+  return { fetch, requests };
+}
+
+test('the client maps an ok response into a rule entry', async () => {
+  const client = quietClient(scriptedProvider([ok('Visa Free', '30 days')]));
+  const entry = await client.checkVisaRequirement('GB', 'TH');
+  assert.equal(entry.requirement, 'visa-free');
+  assert.equal(entry.duration, 30);
+  assert.equal(entry.source, 'rapidapi');
+  assert.equal(entry.provenance.requirement.raw, 'Visa Free');
+});
+
+test('the client never returns unknown', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  for (const response of [ok('ask again later'), ok(null), { status: 'invalid-response' }, { status: 'http-error', code: 500 }]) {
+    const client = quietClient(scriptedProvider([response]));
+    assert.equal(await client.checkVisaRequirement('GB', 'TH'), null);
+  }
+});
+
+test('the client retries rate limits and network errors, then gives up', async (t) => {
+  const recovered = scriptedProvider([{ status: 'rate-limited' }, { status: 'network-error', error: new Error('reset') }, ok('eVisa')]);
+  assert.equal((await quietClient(recovered).checkVisaRequirement('GB', 'CN')).requirement, 'e-visa');
+  assert.equal(recovered.calls.length, 3);
+
+  const limited = scriptedProvider([{ status: 'rate-limited' }]);
+  assert.deepEqual(await quietClient(limited, { maxRetries: 2 }).checkVisaRequirement('GB', 'CN'), { rateLimited: true });
+  assert.equal(limited.calls.length, 3);
+
+  t.mock.method(console, 'error', () => {});
+  const offline = scriptedProvider([{ status: 'network-error', error: new Error('offline') }]);
+  assert.equal(await quietClient(offline, { maxRetries: 1 }).checkVisaRequirement('GB', 'CN'), null);
+});
+
+test('the client stops on an exhausted quota without retrying', async () => {
+  const provider = scriptedProvider([{ status: 'quota-exceeded' }]);
+  assert.deepEqual(await quietClient(provider).checkVisaRequirement('GB', 'TH'), { quotaExceeded: true });
+  assert.equal(provider.calls.length, 1);
+});
+
+test('the client stops once the ledger allowance is spent', async () => {
+  let remaining = 1;
+  const ledger = { remaining: () => remaining, record: () => { remaining--; }, describe: () => 'test' };
+  const provider = scriptedProvider([ok('Visa Free')]);
+  const client = quietClient(provider, { ledger });
+  assert.equal((await client.checkVisaRequirement('GB', 'TH')).requirement, 'visa-free');
+  assert.deepEqual(await client.checkVisaRequirement('GB', 'JP'), { quotaExceeded: true });
+  assert.equal(provider.calls.length, 1);
+});
+
+test('the client archives every ok response body, recognised or not', async () => {
+  const archived = [];
+  const client = quietClient(scriptedProvider([ok('Visa Free'), ok('ask again later')]), {
+    archive: { append: record => archived.push(record) },
+  });
+  await client.checkVisaRequirement('GB', 'TH');
+  await client.checkVisaRequirement('GB', 'JP');
+  assert.deepEqual(archived.map(record => [record.destination, record.raw.requirement]), [['TH', 'Visa Free'], ['JP', 'ask again later']]);
+});
+
+test('the client archives nothing from local providers', async () => {
+  const archived = [];
+  const archive = { append: record => archived.push(record) };
+  for (const name of ['mock', 'passport-index']) {
+    const provider = createProvider(name, { csvPath: path.join(FIXTURES, 'passport-index-iso2.csv') });
+    const client = quietClient(provider, { archive });
+    assert.ok((await client.checkVisaRequirement('GB', 'JP')).requirement, name);
+  }
+  assert.deepEqual(archived, []);
+});
+
+test('the RapidAPI provider posts the pair with the key', async () => {
+  const { fetch, requests } = fakeFetch(200, { requirement: 'Visa Free', stay_duration: '30 days' });
+  const provider = createRapidApiProvider({ apiKey: 'KEY', fetch });
+  const response = await provider.fetchPair('gb', 'th');
+
+  assert.equal(requests[0].url, API_URL);
+  assert.equal(requests[0].init.headers['x-rapidapi-key'], 'KEY');
+  assert.equal(requests[0].init.body, 'passport=GB&destination=TH');
+  assert.equal(response.status, 'ok');
+  assert.deepEqual(response.data, { requirement: 'Visa Free', duration: '30 days', notes: null });
+});
+
+test('the RapidAPI provider tells quota messages from rate limits', async () => {
+  const cases = [
+    [429, { message: 'Too many requests' }, 'rate-limited'],
+    [429, { message: 'You have exceeded the rate limit per second for your plan' }, 'rate-limited'],
+    [429, { message: 'You have exceeded the MONTHLY quota' }, 'quota-exceeded'],
+    [403, { message: 'You have exceeded the MONTHLY quota' }, 'quota-exceeded'],
+    [200, { message: 'Quota exceeded' }, 'quota-exceeded'],
+    [500, { message: 'Internal error' }, 'http-error'],
+    [200, 'not json', 'invalid-response'],
+  ];
+  for (const [status, body, expected] of cases) {
+    const provider = createRapidApiProvider({ apiKey: 'KEY', fetch: fakeFetch(status, body).fetch });
+    assert.equal((await provider.fetchPair('GB', 'TH')).status, expected, `${status} ${JSON.stringify(body)}`);
+  }
+});
+
+test('the RapidAPI provider reports a failed fetch as a network error', async () => {
+  const fetch = async () => {
+    throw new TypeError('fetch failed');
+  };
+  const response = await createRapidApiProvider({ apiKey: 'KEY', fetch }).fetchPair('GB', 'TH');
+  assert.equal(response.status, 'network-error');
+  assert.equal(response.error.message, 'fetch failed');
+});